@@ -0,0 +1,51 @@
+#!/usr/bin/env node
+
+/**
+ * Runs the benchmark programs in this directory and prints the median time of each.
+ * Usage: node bench/run.js [path/to/htm-lisp.js] [runs]
+ * To compare with an older version, e.g.:
+ *     git show HEAD~1:htm-lisp.js > /tmp/htm-lisp.js && node bench/run.js /tmp/htm-lisp.js
+ */
+
+const fs = require("fs")
+const path = require("path")
+const { parse } = require("../html-parser.js")
+
+
+const [interpreter = path.join(__dirname, "../htm-lisp.js"), runs = "10"] = process.argv.slice(2)
+const HtmLisp = require(path.resolve(interpreter))
+
+
+/**
+ * Evaluates every htm-lisp element of a file once.
+ * @param {*} document The parsed file.
+ * @returns The printed output.
+ */
+function runOnce(document) {
+    const output = []
+    const context = {
+        print: x => output.push(x),
+        error: error => { throw error },
+        maxTime: Infinity,
+    }
+    for (const root of document.getElementsByTagName("htm-lisp"))
+        HtmLisp.run(root, HtmLisp.createScope(context))
+    return output.join("\n")
+}
+
+
+for (const file of fs.readdirSync(__dirname).filter(x => x.endsWith(".html")).sort()) {
+    const times = []
+    let output
+    // The first run warms up the JIT compiler and is not counted.
+    for (let i = 0; i <= Number(runs); i++) {
+        // Each run parses the file again, so that nothing is cached between runs.
+        const document = parse(fs.readFileSync(path.join(__dirname, file), "utf8"), file)
+        const start = process.hrtime.bigint()
+        output = runOnce(document)
+        if (i) times.push(Number(process.hrtime.bigint() - start) / 1e6)
+    }
+    times.sort((a, b) => a - b)
+    const median = times[Math.floor(times.length / 2)]
+    console.log(`${file.padEnd(20)} ${median.toFixed(1).padStart(8)} ms    ${output}`)
+}
@@ -1,77 +1,88 @@
-document.addEventListener("DOMContentLoaded", function() {
+const HtmLisp = (function() {
 
-    const SCOPE = {
-        global: {},
-        local: {},
-    }
+    const TAGS = {
 
+        /**
+         * Declares a variable in the local scope. The scope must not have a variable with the name yet.
+         * With a type attribute, e.g. type="int", values of other types can't be assigned to the variable.
+         * Instead of a name, a LIST or OBJ pattern declares the variables it binds, see matchPattern.
+         * (def[type?] varName value) => value
+         */
+        "DEF": arity([2, 2], (element, scope) => {
+            return declareFromElement(element, scope, scope)
+        }),
 
-    const TAGS = {
 
-        "DEF": (element, scope) => {
-            requireChildrenCount(element, 2)
-            const [varName, value] = getAllValues(element, makeScope(scope), 2)
-            return setLocalVariable(scope, varName, value)
-        },
+        /**
+         * Declares a variable like DEF that MUT, INC and DEC can't change.
+         * (const[type?] varName value) => value
+         */
+        "CONST": arity([2, 2], (element, scope) => {
+            return declareFromElement(element, scope, scope, true)
+        }),
 
 
-        "MUT": (element, scope) => {
-            requireChildrenCount(element, 2)
-            const [varName, value] = getAllValues(element, makeScope(scope), 2)
+        /**
+         * Declares a variable like DEF in the top-level scope of the program or module, from anywhere in it.
+         * (global[type?] varName value) => value
+         */
+        "GLOBAL": arity([2, 2], (element, scope) => {
+            return declareFromElement(element, scope, getTopLevelScope(scope))
+        }),
+
+
+        "MUT": arity([2, 2], (element, scope) => {
+            const [varName, value] = getAllValues(element, getChildScope(element, scope), 2)
             return updateVariableValue(varName, value, scope)
-        },
+        }),
 
 
-        "VAR": (element, scope) => {
-            const varName = getValue(element, makeScope(scope))
+        "VAR": arity([0, Infinity], (element, scope) => {
+            const varName = getValue(element, getChildScope(element, scope))
             return getVariableValue(varName, scope)
-        },
+        }),
 
 
-        "BLOCK": (element, scope) => {
-            return getValue(element, makeScope(scope))
-        },
+        "BLOCK": arity([0, Infinity], (element, scope) => {
+            return getValue(element, getChildScope(element, scope))
+        }),
 
 
-        "PRINT": (element, scope) => {
+        "PRINT": arity([0, Infinity], (element, scope) => {
             const { sep } = getAttributes(element)
             const output = element.childElementCount
-            ? getAllValues(element, makeScope(scope))
-                .map(x => typeof x === "object" ? JSON.stringify(x) : x)
+            ? getAllValues(element, getChildScope(element, scope))
+                .map(toText)
                 .join(sep ?? " ")
             : getInnerText(element)
-            console.log("%c" + output, CONSOLE_STYLE)
+            scope.context.print(output)
             return output
-        },
+        }),
 
 
-        "NOOP": (element, scope) => {
-            requireChildrenCount(element, 0, true)
+        "NOOP": arity([0, 0, true], (element, scope) => {
             return null
-        },
+        }),
 
 
-        "INC": (element, scope) => {
-            requireChildrenCount(element, 2, true)
-            const [varName, incrementBy] = getAllValues(element, makeScope(scope), 2)
-            const currentValue = getVariableValue(varName, scope)
-            return updateVariableValue(varName, currentValue + incrementBy, scope)
-        },
+        "INC": arity([2, 2, true], (element, scope) => {
+            const [varName, incrementBy] = getAllValues(element, getChildScope(element, scope), 2)
+            const currentValue = requireNumeric(getVariableValue(varName, scope), element)
+            return updateVariableValue(varName, calculate("ADD", currentValue, requireNumeric(incrementBy, element)), scope)
+        }),
 
 
-        "DEC": (element, scope) => {
-            requireChildrenCount(element, 2, true)
-            const [varName, decrementBy] = getAllValues(element, makeScope(scope), 2)
-            const currentValue = getVariableValue(varName, scope)
-            return updateVariableValue(varName, currentValue - decrementBy, scope)
-        },
+        "DEC": arity([2, 2, true], (element, scope) => {
+            const [varName, decrementBy] = getAllValues(element, getChildScope(element, scope), 2)
+            const currentValue = requireNumeric(getVariableValue(varName, scope), element)
+            return updateVariableValue(varName, calculate("SUB", currentValue, requireNumeric(decrementBy, element)), scope)
+        }),
 
 
-        "CONCAT": (element, scope) => {
-            requireChildrenCount(element, 2, false)
-            const values = getAllValues(element, makeScope(scope))
+        "CONCAT": arity([2, Infinity], (element, scope) => {
+            const values = getAllValues(element, getChildScope(element, scope))
             return values.join("")
-        },
+        }),
 
 
         //
@@ -83,51 +94,82 @@ document.addEventListener("DOMContentLoaded", function() {
          * A literal value.
          * Evaluates the innerText as text.
          */
-        "L": (element, scope) => {
-            requireChildrenCount(element, 0, true)
+        "L": arity([0, 0, true], (element, scope) => {
             return getInnerText(element)
-        },
+        }),
 
 
         /**
          * An integer value.
-         * Evaluates the derived value.
+         * Evaluates the derived value. Numbers are truncated, text must be an integer literal.
          */
-        "INT": (element, scope) => {
-            let value = getValue(element, makeScope(scope))
-            if (typeof value === "string") value = value.replaceAll(" ", "")
-            return parseInt(value)
-        },
+        "INT": arity([0, Infinity], (element, scope) => {
+            return toNumericType(getValue(element, getChildScope(element, scope)), "INT")
+        }),
 
 
         /**
          * A floating point value.
-         * Evaluates the derived value.
+         * Evaluates the derived value. Text must be a number literal.
          */
-         "FLOAT": (element, scope) => {
-            let value = getValue(element, makeScope(scope))
-            if (typeof value === "string") value = value.replaceAll(" ", "")
-            return parseFloat(value)
-        },
+        "FLOAT": arity([0, Infinity], (element, scope) => {
+            return toNumericType(getValue(element, getChildScope(element, scope)), "FLOAT")
+        }),
+
+
+        /**
+         * An integer of any size.
+         * Evaluates the derived value. Numbers are truncated, text must be an integer literal.
+         * The inner text is not converted to a number first, so no digits are lost.
+         */
+        "BIGINT": arity([0, Infinity], (element, scope) => {
+            const value = element.childElementCount
+            ? getDerivedValue(element, getChildScope(element, scope))
+            : getInnerText(element, false)
+            return toNumericType(value, "BIGINT")
+        }),
+
+
+        /**
+         * An exact decimal number, e.g. for money.
+         * Evaluates the derived value. Text must be a number literal.
+         * The inner text keeps its decimal places: 1.50 has two.
+         */
+        "DECIMAL": arity([0, Infinity], (element, scope) => {
+            const value = element.childElementCount
+            ? getDerivedValue(element, getChildScope(element, scope))
+            : getInnerText(element, false)
+            return toNumericType(value, "DECIMAL")
+        }),
 
 
         /**
          * A string value.
          * Evaluates the derived value.
          */
-        "STR": (element, scope) => {
-            const value = getValue(element, makeScope(scope))
+        "STR": arity([0, Infinity], (element, scope) => {
+            const value = getValue(element, getChildScope(element, scope))
             return value.toString()
-        },
+        }),
 
 
         /**
          * A list value.
          * Evaluates the child elements.
          */
-        "LIST": (element, scope) => {
-            return getAllValues(element, makeScope(scope))
-        },
+        "LIST": arity([0, Infinity], (element, scope) => {
+            return getAllValues(element, getChildScope(element, scope))
+        }),
+
+
+        /**
+         * The type of a value, as it's written in type annotations:
+         * int, float, bigint, decimal, str, bool, null, list, obj or func.
+         * (typeof value) => str
+         */
+        "TYPEOF": arity([0, Infinity], (element, scope) => {
+            return getTypeName(getValue(element, getChildScope(element, scope)))
+        }),
 
 
         //
@@ -139,71 +181,70 @@ document.addEventListener("DOMContentLoaded", function() {
          * Casts a value to a boolean.
          * Evaluates the derived value.
          */
-        "BOOL": (element, scope) => {
-            const value = getValue(element, makeScope(scope))
+        "BOOL": arity([0, Infinity], (element, scope) => {
+            const value = getValue(element, getChildScope(element, scope))
             return !!value
-        },
+        }),
 
 
         /**
          * Without children or innerText returns true.
          * Else checks if innerText or derived value is true.
          */
-        "TRUE": (element, scope) => {
+        "TRUE": arity([0, Infinity], (element, scope) => {
             if (element.childElementCount) {
-                const value = getValue(element, makeScope(scope))
+                const value = getValue(element, getChildScope(element, scope))
                 return !!value === true
             }
             else {
-                const value = getInnerText(element, false)
+                const value = getInnerText(element)
                 return value === "" ? true : !!value === true
             }
-        },
+        }),
 
 
         /**
          * Without children or innerText returns false.
          * Else checks if innerText or derived value is false.
          */
-        "FALSE": (element, scope) => {
+        "FALSE": arity([0, Infinity], (element, scope) => {
             if (element.childElementCount) {
-                const value = getValue(element, makeScope(scope))
+                const value = getValue(element, getChildScope(element, scope))
                 return !!value === false
             }
             else {
-                const value = getInnerText(element, false)
+                const value = getInnerText(element)
                 return value === "" ? false : !!value === false
             }
-        },
+        }),
 
 
         /**
          * ANDs all the children, returning a boolean.
          * Ignores innerText.
          */
-         "AND": (element, scope) => {
-            const values = getAllValues(element, makeScope(scope))
+        "AND": arity([1, Infinity], (element, scope) => {
+            const values = getAllValues(element, getChildScope(element, scope))
             return values.reduce((x, y) => x && y)
-        },
+        }),
 
 
         /**
          * ORs all the children, returning a boolean.
          * Ignores innerText.
          */
-         "OR": (element, scope) => {
-            const values = getAllValues(element, makeScope(scope))
+        "OR": arity([1, Infinity], (element, scope) => {
+            const values = getAllValues(element, getChildScope(element, scope))
             return values.reduce((x, y) => x || y)
-        },
+        }),
 
 
         /**
          * Evaluates the derived value and performs a NOT on it.
          */
-         "NOT": (element, scope) => {
-            requireChildrenCount(element, 1, true)
-            return !!!getDerivedValue(element, makeScope(scope))
-        },
+        "NOT": arity([1, 1, true], (element, scope) => {
+            return !!!getDerivedValue(element, getChildScope(element, scope))
+        }),
 
 
         //
@@ -214,128 +255,234 @@ document.addEventListener("DOMContentLoaded", function() {
         /**
          * Adds the children's values together.
          */
-         "ADD": (element, scope) => {
-            const values = getAllValues(element, makeScope(scope))
-            return values.reduce((x, y) => x + y)
-        },
+        "ADD": arity([1, Infinity], (element, scope) => {
+            const values = getAllValues(element, getChildScope(element, scope))
+            return values.reduce((x, y) => calculate("ADD", x, y))
+        }),
 
 
         /**
          * Subtracts the children's values from one another.
          */
-         "SUB": (element, scope) => {
-            const values = getAllValues(element, makeScope(scope))
-            return values.reduce((x, y) => x - y)
-        },
+        "SUB": arity([1, Infinity], (element, scope) => {
+            const values = getAllValues(element, getChildScope(element, scope))
+            return values.reduce((x, y) => calculate("SUB", x, y))
+        }),
 
 
         /**
          * Multiplies the children values together.
          */
-         "MUL": (element, scope) => {
-            const values = getAllValues(element, makeScope(scope))
-            return values.reduce((x, y) => x * y)
-        },
+        "MUL": arity([1, Infinity], (element, scope) => {
+            const values = getAllValues(element, getChildScope(element, scope))
+            return values.reduce((x, y) => calculate("MUL", x, y))
+        }),
 
 
         /**
          * Divides the children's values with one another.
          */
-         "DIV": (element, scope) => {
-            const values = getAllValues(element, makeScope(scope))
-            return values.reduce((x, y) => x / y)
-        },
+        "DIV": arity([1, Infinity], (element, scope) => {
+            const values = getAllValues(element, getChildScope(element, scope))
+            return values.reduce((x, y) => calculate("DIV", x, y))
+        }),
 
 
         /**
          * Gets the modulus of all the children's values.
          */
-         "MOD": (element, scope) => {
-            const values = getAllValues(element, makeScope(scope))
-            return values.reduce((x, y) => x % y)
-        },
+        "MOD": arity([1, Infinity], (element, scope) => {
+            const values = getAllValues(element, getChildScope(element, scope))
+            return values.reduce((x, y) => calculate("MOD", x, y))
+        }),
 
 
         /**
          * Raises the child elements to the next's power.
          */
-        "POW": (element, scope) => {
-            const values = getAllValues(element, makeScope(scope))
-            return values.reduce((x, y) => x ** y)
-        },
+        "POW": arity([1, Infinity], (element, scope) => {
+            const values = getAllValues(element, getChildScope(element, scope))
+            return values.reduce((x, y) => calculate("POW", x, y))
+        }),
+
+
+        /**
+         * Divides the children's values with one another, truncating the fraction.
+         * (idiv dividend ...divisors) => int
+         */
+        "IDIV": arity([1, Infinity], (element, scope) => {
+            const values = getAllValues(element, getChildScope(element, scope))
+            return values.reduce((x, y) => calculate("IDIV", x, y))
+        }),
+
+
+        /**
+         * (abs x) => number
+         */
+        "ABS": arity([0, Infinity], (element, scope) => {
+            const value = getValue(element, getChildScope(element, scope))
+            const [x, zero] = getComparable(value, 0)
+            return x < zero ? calculate("SUB", 0, value) : value
+        }),
+
+
+        /**
+         * Returns the smallest value. A single list child is searched instead.
+         * (min ...values) => number
+         */
+        "MIN": arity([1, Infinity], (element, scope) => {
+            const values = getAllValues(element, getChildScope(element, scope))
+            return getExtreme(values, (x, y) => x < y)
+        }),
+
+
+        /**
+         * Returns the largest value. A single list child is searched instead.
+         * (max ...values) => number
+         */
+        "MAX": arity([1, Infinity], (element, scope) => {
+            const values = getAllValues(element, getChildScope(element, scope))
+            return getExtreme(values, (x, y) => x > y)
+        }),
+
+
+        /**
+         * Rounds down to an integer.
+         * (floor x) => number
+         */
+        "FLOOR": arity([0, Infinity], (element, scope) => {
+            const value = getValue(element, getChildScope(element, scope))
+            if (value instanceof Decimal) return value.round(0, "floor")
+            return typeof value === "bigint" ? value : requireNumber(Math.floor(value), element)
+        }),
+
+
+        /**
+         * Rounds to the nearest integer, or to a number of decimal places.
+         * Halves are rounded up, or away from zero for decimals.
+         * (round x digits?) => number
+         */
+        "ROUND": arity([0, 2], (element, scope) => {
+            const [value, digits = 0] = element.childElementCount
+            ? getAllValues(element, getChildScope(element, scope), 2)
+            : [getInnerText(element)]
+            if (!Number.isInteger(digits) || digits < 0) throw new Error(`Invalid number of digits: ${digits}`)
+            if (value instanceof Decimal) return value.round(digits)
+            if (typeof value === "bigint") return value
+            return requireNumber(Math.round(value * 10 ** digits) / 10 ** digits, element)
+        }),
+
+
+        /**
+         * The square root as a float.
+         * (sqrt x) => float
+         */
+        "SQRT": arity([0, Infinity], (element, scope) => {
+            const value = getValue(element, getChildScope(element, scope))
+            return requireNumber(Math.sqrt(toNumericType(value, "FLOAT")), element)
+        }),
+
+
+        /**
+         * Without children returns a random float from 0 up to 1.
+         * With two children returns a random integer from min to max, both included.
+         * The numbers come from the context's random function, see SEED.
+         * (random min? max?) => number
+         */
+        "RANDOM": arity([0, 2, true], (element, scope) => {
+            const { random } = scope.context
+            if (!element.childElementCount) return random()
+            requireChildrenCount(element, 2, true)
+            const [min, max] = getAllValues(element, getChildScope(element, scope), 2)
+            if (!Number.isInteger(min) || !Number.isInteger(max)) throw new Error("RANDOM requires integer bounds!")
+            return min + Math.floor(random() * (max - min + 1))
+        }),
+
+
+        /**
+         * Makes RANDOM return the same sequence of numbers for the same seed in this context.
+         * (seed value) => value
+         */
+        "SEED": arity([0, Infinity], (element, scope) => {
+            const seed = getValue(element, getChildScope(element, scope))
+            scope.context.random = createRandom(seed)
+            return seed
+        }),
 
 
         /**
          * Returns true if all evaluated children are equal.
          */
-         "EQ": (element, scope) => {
-            requireChildrenCount(element, 2)
-            const values = getAllValues(element, makeScope(scope))
+        "EQ": arity([2, Infinity], (element, scope) => {
+            const values = getAllValues(element, getChildScope(element, scope))
             for (let i = 1; i < values.length; i++)
-                if (values[0] !== values[i]) return false
+                if (!isEqual(values[0], values[i])) return false
             return true
-        },
+        }),
 
 
         /**
          * Returns true if the first child does not equal to any of its siblings.
          */
-         "NE": (element, scope) => {
-            requireChildrenCount(element, 2)
-            const values = getAllValues(element, makeScope(scope))
+        "NE": arity([2, Infinity], (element, scope) => {
+            const values = getAllValues(element, getChildScope(element, scope))
             for (let i = 1; i < values.length; i++)
-                if (values[0] === values[i]) return false
+                if (isEqual(values[0], values[i])) return false
             return true
-        },
+        }),
 
 
         /**
          * Returns true if the first evaluated child is greater than every other child.
          */
-        "GT": (element, scope) => {
-            requireChildrenCount(element, 2)
-            const values = getAllValues(element, makeScope(scope))
-            for (let i = 1; i < values.length; i++)
-                if (!(values[0] > values[i])) return false
+        "GT": arity([2, Infinity], (element, scope) => {
+            const values = getAllValues(element, getChildScope(element, scope))
+            for (let i = 1; i < values.length; i++) {
+                const [x, y] = getComparable(values[0], values[i])
+                if (!(x > y)) return false
+            }
             return true
-        },
+        }),
 
 
         /**
          * Returns true if the first evaluated child is greater or equal to every other child.
          */
-         "GTE": (element, scope) => {
-            requireChildrenCount(element, 2)
-            const values = getAllValues(element, makeScope(scope))
-            for (let i = 1; i < values.length; i++)
-                if (!(values[0] >= values[i])) return false
+        "GTE": arity([2, Infinity], (element, scope) => {
+            const values = getAllValues(element, getChildScope(element, scope))
+            for (let i = 1; i < values.length; i++) {
+                const [x, y] = getComparable(values[0], values[i])
+                if (!(x >= y)) return false
+            }
             return true
-        },
+        }),
 
 
         /**
          * Returns true if the first evaluated child is less than every other child.
          */
-         "LT": (element, scope) => {
-            requireChildrenCount(element, 2)
-            const values = getAllValues(element, makeScope(scope))
-            for (let i = 1; i < values.length; i++)
-                if (!(values[0] < values[i])) return false
+        "LT": arity([2, Infinity], (element, scope) => {
+            const values = getAllValues(element, getChildScope(element, scope))
+            for (let i = 1; i < values.length; i++) {
+                const [x, y] = getComparable(values[0], values[i])
+                if (!(x < y)) return false
+            }
             return true
-        },
+        }),
 
 
         /**
          * Returns true if the first evaluated child is less or equal to every other child.
          * (lte arg1 arg2 argN...) => bool
          */
-         "LTE": (element, scope) => {
-            requireChildrenCount(element, 2)
-            const values = getAllValues(element, makeScope(scope))
-            for (let i = 1; i < values.length; i++)
-                if (!(values[0] <= values[i])) return false
+        "LTE": arity([2, Infinity], (element, scope) => {
+            const values = getAllValues(element, getChildScope(element, scope))
+            for (let i = 1; i < values.length; i++) {
+                const [x, y] = getComparable(values[0], values[i])
+                if (!(x <= y)) return false
+            }
             return true
-        },
+        }),
 
 
         //
@@ -348,510 +495,5511 @@ document.addEventListener("DOMContentLoaded", function() {
          * Else, returns the optional third child.
          * (if condition thenOp elseOp) => any
          */
-         "IF": (element, scope) => {
-            requireChildrenCount(element, 2)
+        "IF": arity([2, 3], (element, scope) => {
             const conditionalElement = element.children[0]
             const thenElement = element.children[1]
             const elseElement = element.children[2]
-            return handleElement(conditionalElement, makeScope(scope))
-            ? handleElement(thenElement, makeScope(scope))
-            : elseElement && handleElement(elseElement, makeScope(scope))
-        },
+            return handleElement(conditionalElement, getChildScope(element, scope))
+            ? handleElement(thenElement, getChildScope(element, scope))
+            : elseElement && handleElement(elseElement, getChildScope(element, scope))
+        }),
 
 
-        //
-        // STRING OPERATIONS
-        //
+        /**
+         * Evaluates the body of the first CASE whose pattern matches the value, see matchPattern.
+         * The variables that the pattern binds are defined for the optional guard and the body.
+         * A CASE with a guard only matches if the guard is true too.
+         * Throws an error if no CASE matches.
+         * (match value ...(case pattern guard? body)) => any
+         */
+        "MATCH": arity([2, Infinity], (element, scope) => {
+            const [valueOp, ...clauses] = element.children
+            const value = handleElement(valueOp, getChildScope(element, scope))
+            for (const clause of clauses) {
+                const [pattern, guard, body] = getCaseParts(clause)
+                const localScope = makeScope(scope)
+                if (!bindPattern(pattern, value, localScope)) continue
+                if (guard && !handleElement(guard, localScope)) continue
+                return handleElement(body, localScope)
+            }
+            throw new Error(`No CASE of MATCH matches the value ${toText(value)}!`)
+        }),
 
 
         /**
-         * (split string sep) => list
+         * Only valid as a clause of MATCH.
          */
-         "SPLIT": (element, scope) => {
-            requireChildrenCount(element, 2, true)
-            const [string, sep] = getAllValues(element, makeScope(scope), 2)
-            return string.split(sep)
-        },
+        "CASE": arity([2, 3, true], (element, scope) => {
+            throw new Error("CASE can only be used inside MATCH!")
+        }),
 
 
         //
-        // LIST OPERATIONS
+        // CONTROL FLOW
         //
 
 
         /**
-         * Makes a for loop. The for loop returns a list of all iterated values.
-         * (for varName start stop step operation) => list
+         * Returns from the enclosing FUNC. Without children or innerText returns null.
+         * (return value?) => never
          */
-        "FOR": (element, scope) => {
-            requireChildrenCount(element, 5, true)
-            const [varName, start, stop, step] = getAllValues(element, makeScope(scope), 4)
-            const iterationOp = element.children[4]
-            const result = []
-            setLocalVariable(scope, varName, start)
-            for (; scope.local[varName].value <= stop; scope.local[varName].value += step) {
-                const value = handleElement(iterationOp, makeScope(scope))
-                value && result.push(value)
-            }
-            delete scope.local[varName]
-            return result
-        },
+        "RETURN": arity([0, Infinity], (element, scope) => {
+            const target = findControlTarget(scope, "RETURN")
+            if (!target) throw new Error("RETURN can only be used inside FUNC!")
+            const value = element.childElementCount || element.innerHTML.trim()
+            ? getValue(element, getChildScope(element, scope))
+            : null
+            throw new ControlSignal("RETURN", target, value)
+        }),
 
 
         /**
-         * (while condition body) => list
+         * Exits the enclosing FOR, FOR-EACH or WHILE, or the one with the matching label attribute.
+         * (break[label?]) => never
          */
-        "WHILE": (element, scope) => {
-            requireChildrenCount(element, 2, true)
-            const conditionOp = element.children[0]
-            const bodyOp = element.children[1]
-            const localScope = makeScope(scope)
-            const result = []
-            while (handleElement(conditionOp, localScope)) {
-                const value = handleElement(bodyOp, localScope)
-                value && result.push(value)
-            }
-            return result
-        },
+        "BREAK": arity([0, 0, true], (element, scope) => {
+            const { label } = getAttributes(element)
+            const target = findControlTarget(scope, "BREAK", label)
+            if (!target) throw new Error(label ? `BREAK to unknown label: ${label}` : "BREAK can only be used inside FOR, FOR-EACH or WHILE!")
+            throw new ControlSignal("BREAK", target)
+        }),
 
 
         /**
-         * (map iterable varName operation) => list
+         * Skips to the next iteration of the enclosing FOR, FOR-EACH or WHILE, or the one with the matching label attribute.
+         * (continue[label?]) => never
          */
-        "MAP": (element, scope) => {
-            requireChildrenCount(element, 3, true)
-            const [iterable, varName] = getAllValues(element, makeScope(scope), 2)
-            const operation = element.children[2]
-            const localScope = makeScope(scope)
-            return iterable.map(x => {
-                setLocalVariable(localScope, varName, x)
-                return handleElement(operation, localScope)
-            })
-        },
+        "CONTINUE": arity([0, 0, true], (element, scope) => {
+            const { label } = getAttributes(element)
+            const target = findControlTarget(scope, "CONTINUE", label)
+            if (!target) throw new Error(label ? `CONTINUE to unknown label: ${label}` : "CONTINUE can only be used inside FOR, FOR-EACH or WHILE!")
+            throw new ControlSignal("CONTINUE", target)
+        }),
+
+
+        //
+        // STRING OPERATIONS
+        //
 
 
         /**
-         * (filter iterable varName operation) => list
+         * (split string sep) => list
          */
-        "FILTER": (element, scope) => {
-            requireChildrenCount(element, 3, true)
-            const [iterable, varName] = getAllValues(element, makeScope(scope), 2)
-            const operation = element.children[2]
-            const localScope = makeScope(scope)
-            return iterable.filter(x => {
-                setLocalVariable(localScope, varName, x)
-                return handleElement(operation, localScope)
-            })
-        },
+        "SPLIT": arity([2, 2, true], (element, scope) => {
+            const [string, sep] = getAllValues(element, getChildScope(element, scope), 2)
+            return string.split(sep)
+        }),
 
 
         /**
-         * (reduce iterable varName1 varName2 operation) => any
+         * Fills in a template. {name} is replaced by the value of the variable,
+         * {name.key} by a key of it, {0} by the first value after the template and so on.
+         * {{ and }} are literal braces. Without children the inner text is the template.
+         * (format template ...values) => string
          */
-        "REDUCE": (element, scope) => {
-            requireChildrenCount(element, 4, true)
-            const [iterable, varName1, varName2] = getAllValues(element, makeScope(scope), 3)
-            const operation = element.children[3]
-            const localScope = makeScope(scope)
-            return iterable.reduce((x, y) => {
-                setLocalVariable(localScope, varName1, x)
-                setLocalVariable(localScope, varName2, y)
-                return handleElement(operation, localScope)
-            })
-        },
+        "FORMAT": arity([0, Infinity], (element, scope) => {
+            const [template, ...values] = element.childElementCount
+            ? getAllValues(element, getChildScope(element, scope))
+            : [String(getInnerText(element))]
+            return formatTemplate(requireText(template, element), values, scope)
+        }),
 
 
         /**
-         * Get or set the index in iterable.
-         * (idx iterable index newValue?) => any
+         * Matches a regular expression, e.g. (re-match[flags=i] "a1b2" "([a-z])(\d)").
+         * Returns the match and its capture groups, or null if there is no match.
+         * (re-match[flags?] string pattern) => list
          */
-        "IDX": (element, scope) => {
-            requireChildrenCount(element, 2)
-            const [iterable, index] = getAllValues(element, makeScope(scope), 2)
-            if (Array.isArray(iterable)) {
-                if (index in iterable) {
-                    if (element.children[2]) {
-                        iterable[index] = handleElement(element.children[2], makeScope(scope))
-                    }
-                    return iterable[index]
-                }
-                throw new Error(`Index out of bounds: ${index}`)
-            }
-            else if (typeof iterable === "string") {
-                if (index < iterable.length) {
-                    return iterable.charAt(index)
-                }
-                throw new Error(`Index out of bounds: ${index}`)
-            }
-            throw new Error("IDX can only be used with lists. Got " + typeof iterable)
-        },
+        "RE-MATCH": arity([2, 2, true], (element, scope) => {
+            const [string, pattern] = getAllValues(element, getChildScope(element, scope), 2)
+            const match = getRegExp(pattern, element).exec(requireText(string, element))
+            return match && Array.from(match, x => x ?? null)
+        }),
 
 
         /**
-         * (len iterable) => int
+         * Returns every match of a regular expression, each with its capture groups.
+         * (re-match-all[flags?] string pattern) => list
          */
-        "LEN": (element, scope) => {
-            requireChildrenCount(element, 1, true)
-            return getValue(element, makeScope(scope)).length
-        },
+        "RE-MATCH-ALL": arity([2, 2, true], (element, scope) => {
+            const [string, pattern] = getAllValues(element, getChildScope(element, scope), 2)
+            const regExp = getRegExp(pattern, element, "g")
+            return Array.from(requireText(string, element).matchAll(regExp), match => Array.from(match, x => x ?? null))
+        }),
 
 
         /**
-         * (append iterable value) => list
+         * Checks if a regular expression matches.
+         * (re-test[flags?] string pattern) => bool
          */
-         "APPEND": (element, scope) => {
-            requireChildrenCount(element, 2, true)
-            const [iterable, value] = getAllValues(element, makeScope(scope), 2)
-            const result = Array.from(iterable)
-            result.push(value)
-            return result
-        },
+        "RE-TEST": arity([2, 2, true], (element, scope) => {
+            const [string, pattern] = getAllValues(element, getChildScope(element, scope), 2)
+            return getRegExp(pattern, element).test(requireText(string, element))
+        }),
 
 
         /**
-         * Returns the first element in the list.
-         * (fst iterable) => any
+         * Replaces the first match of a regular expression, or every match with the g flag.
+         * The replacement is a string, where $1 is the first capture group, or a function
+         * that gets the match and the capture groups and returns the replacement.
+         * (re-replace[flags?] string pattern replacement) => string
          */
-        "FST": (element, scope) => {
-            requireChildrenCount(element, 1, true)
-            const iterable = handleElement(element.children[0], makeScope(scope))
-            if (iterable.length > 0) return iterable[0]
-            throw new Error("Trying to get first element of an empty iterable!")
-        },
+        "RE-REPLACE": arity([3, 3, true], (element, scope) => {
+            const [string, pattern, replacement] = getAllValues(element, getChildScope(element, scope), 3)
+            const regExp = getRegExp(pattern, element)
+            if (typeof replacement !== "function")
+                return requireText(string, element).replace(regExp, requireText(replacement, element))
+            return requireText(string, element).replace(regExp, (...match) => {
+                const groupCount = match.length - (typeof match[match.length - 1] === "object" ? 3 : 2)
+                return toText(replacement(...match.slice(0, groupCount).map(x => x ?? null)))
+            })
+        }),
 
 
         /**
-         * Returns the last element in the list.
-         * (lst iterable) => any
+         * (trim string) => string
          */
-         "LST": (element, scope) => {
-            requireChildrenCount(element, 1, true)
-            const iterable = handleElement(element.children[0], makeScope(scope))
-            if (iterable.length > 0) return iterable[iterable.length - 1]
-            throw new Error("Trying to get first element of an empty iterable!")
-        },
+        "TRIM": arity([0, Infinity], (element, scope) => {
+            return requireText(getValue(element, getChildScope(element, scope)), element).trim()
+        }),
 
 
         /**
-         * Returns a slice of an iterable.
-         * (slice iterable start stop) => slicedIterable
+         * (upper string) => string
          */
-        "SLICE": (element, scope) => {
-            requireChildrenCount(element, 3, true)
-            const [iterable, start, stop] = getAllValues(element, makeScope(scope))
-            if (Array.isArray(iterable) || typeof iterable === "string") return iterable.slice(start, stop)
-            throw new Error("Iterable must be a list or a string, got " + typeof iterable)
-        },
+        "UPPER": arity([0, Infinity], (element, scope) => {
+            return requireText(getValue(element, getChildScope(element, scope)), element).toUpperCase()
+        }),
 
 
-        //
-        //
-        // OBJECTS
+        /**
+         * (lower string) => string
+         */
+        "LOWER": arity([0, Infinity], (element, scope) => {
+            return requireText(getValue(element, getChildScope(element, scope)), element).toLowerCase()
+        }),
+
 
         /**
-         * (obj listOfTuples) => object
+         * (starts-with string prefix) => bool
          */
-        "OBJ": (element, scope) => {
-            requireChildrenCount(element, 1)
-            const result = {}
-            for (const pair of getValue(element, makeScope(scope))) {
-                if (!Array.isArray(pair) || pair.length !== 2)
-                    throw new Error("OBJ requires a list of tuples!")
-                result[pair[0]] = pair[1]
-            }
-            return result
-        },
+        "STARTS-WITH": arity([2, 2, true], (element, scope) => {
+            const [string, prefix] = getAllValues(element, getChildScope(element, scope), 2)
+            return requireText(string, element).startsWith(requireText(prefix, element))
+        }),
 
 
         /**
-         * Get or set a key in an object.
-         * (key object key value) => value
+         * (ends-with string suffix) => bool
          */
-        "KEY": (element, scope) => {
-            requireChildrenCount(element, 2)
-            const [object, key] = getAllValues(element, makeScope(scope), 2)
-            if (element.children[2]) {
-                object[key] = handleElement(element.children[2], makeScope(scope))
-            }
-            if (key in object) {
-                return object[key]
-            }
-            throw new Error(`Key not found: ${key}`)
-        },
+        "ENDS-WITH": arity([2, 2, true], (element, scope) => {
+            const [string, suffix] = getAllValues(element, getChildScope(element, scope), 2)
+            return requireText(string, element).endsWith(requireText(suffix, element))
+        }),
 
 
         /**
-         * (has-key object key) => boolean
+         * Checks if a string contains a substring, or a list an item.
+         * (contains iterable value) => bool
          */
-         "HAS-KEY": (element, scope) => {
-            requireChildrenCount(element, 2)
-            const [object, key] = getAllValues(element, makeScope(scope), 2)
-            return key in object
-        },
+        "CONTAINS": arity([2, 2, true], (element, scope) => {
+            const [iterable, value] = getAllValues(element, getChildScope(element, scope), 2)
+            if (Array.isArray(iterable)) return iterable.some(x => isEqual(x, value))
+            return requireText(iterable, element).includes(requireText(value, element))
+        }),
 
 
         /**
-         * A list with two values only.
-         * (tuple value1 value2) => list
+         * Finds the first index of a substring in a string, or of an item in a list. Returns -1 if there is none.
+         * (index-of iterable value) => int
          */
-        "TUPLE": (element, scope) => {
-            requireChildrenCount(element, 2, true)
-            return getAllValues(element, makeScope(scope), 2)
-        },
+        "INDEX-OF": arity([2, 2, true], (element, scope) => {
+            const [iterable, value] = getAllValues(element, getChildScope(element, scope), 2)
+            if (Array.isArray(iterable)) return iterable.findIndex(x => isEqual(x, value))
+            return requireText(iterable, element).indexOf(requireText(value, element))
+        }),
 
 
-        ///
-        /// FUNCTIONS
-        ///
+        /**
+         * Pads the start of a string to a length, with spaces or the given padding.
+         * (pad-start string length padding?) => string
+         */
+        "PAD-START": arity([2, 3], (element, scope) => {
+            const [string, length, padding = " "] = getAllValues(element, getChildScope(element, scope), 3)
+            return requireText(string, element).padStart(length, requireText(padding, element))
+        }),
 
 
         /**
-         * (func paramNameList operation) => function
+         * Pads the end of a string to a length, with spaces or the given padding.
+         * (pad-end string length padding?) => string
          */
-        "FUNC": (element, scope) => {
-            requireChildrenCount(element, 2, true)
-            const parameters = handleElement(element.children[0], makeScope(scope))
-            const operation = element.children[1]
-            return function(scope, ...args) {
-                const localScope = makeScope(scope)
-                for (let i = 0; i < parameters.length; i++)
-                    setLocalVariable(localScope, parameters[i], args[i])
-                return handleElement(operation, localScope)
-            }
-        },
+        "PAD-END": arity([2, 3], (element, scope) => {
+            const [string, length, padding = " "] = getAllValues(element, getChildScope(element, scope), 3)
+            return requireText(string, element).padEnd(length, requireText(padding, element))
+        }),
 
 
         /**
-         * (call function argList?) => any
+         * (repeat string count) => string
          */
-        "CALL": (element, scope) => {
-            requireChildrenCount(element, 1)
-            const func = handleElement(element.children[0], makeScope(scope))
-            let args = []
-            if (element.children[1]) {
-                const value = handleElement(element.children[1], makeScope(scope))
-                if (!Array.isArray(value)) {
-                    throw new Error("The second argument to CALL must be a list!")
-                }
-                args = value
-            }
-            return func(scope, ...args)
-        },
+        "REPEAT": arity([2, 2, true], (element, scope) => {
+            const [string, count] = getAllValues(element, getChildScope(element, scope), 2)
+            return requireText(string, element).repeat(count)
+        }),
+
+
+        /**
+         * Joins the items of a list to a string, separated by "," or the given separator.
+         * Items are converted to text like PRINT does.
+         * (join list sep?) => string
+         */
+        "JOIN": arity([1, 2], (element, scope) => {
+            const [list, sep = ","] = getAllValues(element, getChildScope(element, scope), 2)
+            if (!Array.isArray(list)) throw new Error("JOIN requires a list, got " + typeof list)
+            return list.map(toText).join(requireText(sep, element))
+        }),
 
 
         //
-        // INPUT-OUTPUT
+        // LIST OPERATIONS
         //
 
 
         /**
-         * (read promptMessage defaultValue)
+         * Makes a for loop from start to stop, both included. The step is 1 by default, and a negative step counts down.
+         * The for loop returns a list of all iterated values, or null with the discard attribute.
+         * (for[label?, discard?] varName start stop step? operation) => list
          */
-        "READ": (element, scope) => {
-            requireChildrenCount(element, 2, true)
-            const [message, defaultValue] = getAllValues(element, makeScope(scope), 2)
-            return prompt(message, defaultValue)
-        },
+        "FOR": arity([4, 5, true], (element, scope) => {
+            const count = element.childElementCount
+            const header = getAllValues(element, getChildScope(element, scope), count - 1)
+            const operation = element.children[count - 1]
+            return runForLoop(element, scope, header, localScope => handleElement(operation, localScope))
+        }),
 
-    }
 
+        /**
+         * Returns a list of all iterated values like FOR, or null with the discard attribute.
+         * (while[label?, discard?] condition body) => list
+         */
+        "WHILE": arity([2, 2, true], (element, scope) => {
+            const [conditionOp, bodyOp] = element.children
+            return runWhileLoop(element, scope,
+                localScope => handleElement(conditionOp, localScope),
+                localScope => handleElement(bodyOp, localScope))
+        }),
 
-    //
-    //  UTIL FUNCTIONS
-    //
 
-    /**
-     * Makes a scope ready for child elements.
-     * @param {object} scope 
-     * @returns An object.
-     */
-    function makeScope(scope) {
-        return {global: {...scope.global, ...scope.local}, local: {}}
-    }
+        /**
+         * Loops over the items of a list, the characters of a string or the entries of an object
+         * as [key, value] tuples. indexName is bound to the index of the item, if given.
+         * Returns a list of the iterated values like FOR, or null with the discard attribute.
+         * (for-each[label?, discard?] iterable varName indexName? operation) => list
+         */
+        "FOR-EACH": arity([3, 4, true], (element, scope) => {
+            const count = element.childElementCount
+            const header = getAllValues(element, getChildScope(element, scope), count - 1)
+            const operation = element.children[count - 1]
+            return runForEachLoop(element, scope, header, localScope => handleElement(operation, localScope))
+        }),
 
 
-    /**
-     * Evaluates all child elements and returns their values in a list.
-     * Calls handle element on every child.
-     * @param {*} element 
-     * @param {*} scope 
-     * @returns A list of values.
-     */
+        /**
+         * Objects are iterated as [key, value] tuples, strings as characters.
+         * (map iterable varName operation) => list
+         */
+        "MAP": arity([3, 3, true], (element, scope) => {
+            const [iterable, varName] = getAllValues(element, getChildScope(element, scope), 2)
+            return evaluateForItems(getItems(iterable, element), varName, element.children[2], scope)
+        }),
+
+
+        /**
+         * (filter iterable varName operation) => list
+         */
+        "FILTER": arity([3, 3, true], (element, scope) => {
+            const [iterable, varName] = getAllValues(element, getChildScope(element, scope), 2)
+            const items = getItems(iterable, element)
+            const values = evaluateForItems(items, varName, element.children[2], scope)
+            return items.filter((x, i) => values[i])
+        }),
+
+
+        /**
+         * Combines the items to one value. Starts with the initial value if given, else with the first item.
+         * (reduce iterable varName1 varName2 operation initialValue?) => any
+         */
+        "REDUCE": arity([4, 5], (element, scope) => {
+            const [iterable, varName1, varName2] = getAllValues(element, getChildScope(element, scope), 3)
+            const operation = element.children[3]
+            const items = getItems(iterable, element)
+            const initialOp = element.children[4]
+            if (!initialOp && !items.length) throw new Error("REDUCE of an empty list requires an initial value!")
+            let result = initialOp ? handleElement(initialOp, getChildScope(element, scope)) : items[0]
+            let iteration = 0
+            for (let i = initialOp ? 0 : 1; i < items.length; i++) {
+                checkIteration(++iteration, scope)
+                const localScope = makeScope(scope)
+                setLocalVariable(localScope, varName1, result)
+                setLocalVariable(localScope, varName2, items[i])
+                result = handleElement(operation, localScope)
+            }
+            return result
+        }),
+
+
+        /**
+         * Returns the first item that the operation is true for, or null.
+         * (find iterable varName operation) => any
+         */
+        "FIND": arity([3, 3, true], (element, scope) => {
+            const [iterable, varName] = getAllValues(element, getChildScope(element, scope), 2)
+            const items = getItems(iterable, element)
+            const values = evaluateForItems(items, varName, element.children[2], scope, Boolean)
+            return values.some(Boolean) ? items[values.length - 1] : null
+        }),
+
+
+        /**
+         * Returns the index of the first item that the operation is true for, or -1.
+         * (find-index iterable varName operation) => int
+         */
+        "FIND-INDEX": arity([3, 3, true], (element, scope) => {
+            const [iterable, varName] = getAllValues(element, getChildScope(element, scope), 2)
+            const values = evaluateForItems(getItems(iterable, element), varName, element.children[2], scope, Boolean)
+            return values.findIndex(Boolean)
+        }),
+
+
+        /**
+         * Checks if the operation is true for some item. Stops at the first one.
+         * (some iterable varName operation) => bool
+         */
+        "SOME": arity([3, 3, true], (element, scope) => {
+            const [iterable, varName] = getAllValues(element, getChildScope(element, scope), 2)
+            return evaluateForItems(getItems(iterable, element), varName, element.children[2], scope, Boolean).some(Boolean)
+        }),
+
+
+        /**
+         * Checks if the operation is true for every item. Stops at the first one it is false for.
+         * (every iterable varName operation) => bool
+         */
+        "EVERY": arity([3, 3, true], (element, scope) => {
+            const [iterable, varName] = getAllValues(element, getChildScope(element, scope), 2)
+            return evaluateForItems(getItems(iterable, element), varName, element.children[2], scope, x => !x).every(Boolean)
+        }),
+
+
+        /**
+         * Maps the items and flattens the resulting lists by one level.
+         * (flat-map iterable varName operation) => list
+         */
+        "FLAT-MAP": arity([3, 3, true], (element, scope) => {
+            const [iterable, varName] = getAllValues(element, getChildScope(element, scope), 2)
+            return evaluateForItems(getItems(iterable, element), varName, element.children[2], scope).flat()
+        }),
+
+
+        /**
+         * Groups the items by the key the operation returns for them.
+         * (group-by iterable varName operation) => object
+         */
+        "GROUP-BY": arity([3, 3, true], (element, scope) => {
+            const [iterable, varName] = getAllValues(element, getChildScope(element, scope), 2)
+            const items = getItems(iterable, element)
+            return groupItems(items, evaluateForItems(items, varName, element.children[2], scope))
+        }),
+
+
+        /**
+         * Get or set the index in iterable.
+         * (idx iterable index newValue?) => any
+         */
+        "IDX": arity([2, 3], (element, scope) => {
+            const [iterable, index] = getAllValues(element, getChildScope(element, scope), 2)
+            if (element.children[2] && Array.isArray(iterable) && index in iterable) {
+                iterable[index] = handleElement(element.children[2], getChildScope(element, scope))
+            }
+            return getAtIndex(iterable, index)
+        }),
+
+
+        /**
+         * (len iterable) => int
+         */
+        "LEN": arity([1, 1, true], (element, scope) => {
+            return getValue(element, getChildScope(element, scope)).length
+        }),
+
+
+        /**
+         * (append iterable value) => list
+         */
+        "APPEND": arity([2, 2, true], (element, scope) => {
+            const [iterable, value] = getAllValues(element, getChildScope(element, scope), 2)
+            const result = Array.from(iterable)
+            result.push(value)
+            return result
+        }),
+
+
+        /**
+         * Returns the first element in the list.
+         * (fst iterable) => any
+         */
+        "FST": arity([1, 1, true], (element, scope) => {
+            const iterable = handleElement(element.children[0], getChildScope(element, scope))
+            if (iterable.length > 0) return iterable[0]
+            throw new Error("Trying to get first element of an empty iterable!")
+        }),
+
+
+        /**
+         * Returns the last element in the list.
+         * (lst iterable) => any
+         */
+        "LST": arity([1, 1, true], (element, scope) => {
+            const iterable = handleElement(element.children[0], getChildScope(element, scope))
+            if (iterable.length > 0) return iterable[iterable.length - 1]
+            throw new Error("Trying to get first element of an empty iterable!")
+        }),
+
+
+        /**
+         * Returns a slice of an iterable.
+         * (slice iterable start stop) => slicedIterable
+         */
+        "SLICE": arity([3, 3, true], (element, scope) => {
+            const [iterable, start, stop] = getAllValues(element, getChildScope(element, scope))
+            if (Array.isArray(iterable) || typeof iterable === "string") return iterable.slice(start, stop)
+            throw new Error("Iterable must be a list or a string, got " + typeof iterable)
+        }),
+
+
+        /**
+         * Returns a sorted copy of a list. The comparator function gets two items and returns
+         * a negative number if the first comes first, a positive number if the second does, or 0.
+         * Without it, numbers are sorted by value and strings alphabetically.
+         * (sort iterable comparator?) => list
+         */
+        "SORT": arity([1, 2], (element, scope) => {
+            const [iterable, comparator] = getAllValues(element, getChildScope(element, scope), 2)
+            const items = Array.from(getItems(iterable, element))
+            if (comparator === undefined) return items.sort(compareValues)
+            if (typeof comparator !== "function") throw new Error("SORT requires a function, got " + typeof comparator)
+            return items.sort((x, y) => requireNumber(Number(comparator(x, y)), element))
+        }),
+
+
+        /**
+         * Returns a reversed copy of a list or a string.
+         * (reverse iterable) => list
+         */
+        "REVERSE": arity([0, Infinity], (element, scope) => {
+            const iterable = getValue(element, getChildScope(element, scope))
+            if (typeof iterable === "string") return Array.from(iterable).reverse().join("")
+            return Array.from(getItems(iterable, element)).reverse()
+        }),
+
+
+        /**
+         * Flattens nested lists by one level, or by the given depth.
+         * (flat list depth?) => list
+         */
+        "FLAT": arity([1, 2], (element, scope) => {
+            const [list, depth = 1] = getAllValues(element, getChildScope(element, scope), 2)
+            return requireList(list, element).flat(depth)
+        }),
+
+
+        /**
+         * Pairs up the items at the same index. The result is as long as the shortest list.
+         * (zip ...lists) => list
+         */
+        "ZIP": arity([1, Infinity], (element, scope) => {
+            const lists = getAllValues(element, getChildScope(element, scope)).map(x => getItems(x, element))
+            const length = Math.min(...lists.map(x => x.length))
+            return Array.from({ length }, (_, i) => lists.map(x => x[i]))
+        }),
+
+
+        /**
+         * A list of the numbers from start to stop, like the ones FOR iterates.
+         * Both ends are included, and a negative step counts down.
+         * (range start stop step?) => list
+         */
+        "RANGE": arity([2, 3], (element, scope) => {
+            const [start, stop, step = 1] = getAllValues(element, getChildScope(element, scope), 3)
+            if (!step || typeof step !== "number") throw new Error(`Invalid RANGE step: ${step}`)
+            const result = []
+            for (let i = start; isInRange(i, stop, step); i += step) {
+                checkIteration(result.length + 1, scope)
+                result.push(i)
+            }
+            return result
+        }),
+
+
+        /**
+         * Returns the items without duplicates, in the order they first appear.
+         * (unique iterable) => list
+         */
+        "UNIQUE": arity([0, Infinity], (element, scope) => {
+            const items = getItems(getValue(element, getChildScope(element, scope)), element)
+            return items.filter((x, i) => items.findIndex(y => isEqual(x, y)) === i)
+        }),
+
+
+        /**
+         * Returns a copy of a list with the value inserted at the index.
+         * (insert list index value) => list
+         */
+        "INSERT": arity([3, 3, true], (element, scope) => {
+            const [list, index, value] = getAllValues(element, getChildScope(element, scope), 3)
+            if (!Number.isInteger(index) || index < 0 || index > requireList(list, element).length)
+                throw new Error(`Index out of bounds: ${index}`)
+            return [...list.slice(0, index), value, ...list.slice(index)]
+        }),
+
+
+        /**
+         * Returns a copy of a list without the item at the index.
+         * (remove list index) => list
+         */
+        "REMOVE": arity([2, 2, true], (element, scope) => {
+            const [list, index] = getAllValues(element, getChildScope(element, scope), 2)
+            if (!Number.isInteger(index) || !(index in requireList(list, element)))
+                throw new Error(`Index out of bounds: ${index}`)
+            return list.filter((_, i) => i !== index)
+        }),
+
+
+        //
+        //
+        // OBJECTS
+
+        /**
+         * (obj listOfTuples) => object
+         */
+        "OBJ": arity([1, Infinity], (element, scope) => {
+            const result = {}
+            for (const pair of getValue(element, getChildScope(element, scope))) {
+                if (!Array.isArray(pair) || pair.length !== 2)
+                    throw new Error("OBJ requires a list of tuples!")
+                result[pair[0]] = pair[1]
+            }
+            return result
+        }),
+
+
+        /**
+         * Get or set a key in an object.
+         * (key object key value) => value
+         */
+        "KEY": arity([2, 3], (element, scope) => {
+            const [object, key] = getAllValues(element, getChildScope(element, scope), 2)
+            if (element.children[2]) {
+                object[key] = handleElement(element.children[2], getChildScope(element, scope))
+            }
+            if (key in object) {
+                return object[key]
+            }
+            throw new Error(`Key not found: ${key}`)
+        }),
+
+
+        /**
+         * (has-key object key) => boolean
+         */
+        "HAS-KEY": arity([2, 2], (element, scope) => {
+            const [object, key] = getAllValues(element, getChildScope(element, scope), 2)
+            return key in object
+        }),
+
+
+        /**
+         * A list with two values only.
+         * (tuple value1 value2) => list
+         */
+        "TUPLE": arity([2, 2, true], (element, scope) => {
+            return getAllValues(element, getChildScope(element, scope), 2)
+        }),
+
+
+        /**
+         * (keys object) => list
+         */
+        "KEYS": arity([0, Infinity], (element, scope) => {
+            return Object.keys(requireObject(getValue(element, getChildScope(element, scope)), element))
+        }),
+
+
+        /**
+         * (values object) => list
+         */
+        "VALUES": arity([0, Infinity], (element, scope) => {
+            return Object.values(requireObject(getValue(element, getChildScope(element, scope)), element))
+        }),
+
+
+        /**
+         * The [key, value] tuples of an object, the reverse of OBJ.
+         * (entries object) => list
+         */
+        "ENTRIES": arity([0, Infinity], (element, scope) => {
+            return Object.entries(requireObject(getValue(element, getChildScope(element, scope)), element))
+        }),
+
+
+        /**
+         * Returns a new object with the keys of all the objects. Later objects override earlier ones.
+         * (merge ...objects) => object
+         */
+        "MERGE": arity([1, Infinity], (element, scope) => {
+            const objects = getAllValues(element, getChildScope(element, scope))
+            return Object.assign({}, ...objects.map(x => requireObject(x, element)))
+        }),
+
+
+        /**
+         * Returns a copy of an object without the key.
+         * (delete-key object key) => object
+         */
+        "DELETE-KEY": arity([2, 2, true], (element, scope) => {
+            const [object, key] = getAllValues(element, getChildScope(element, scope), 2)
+            const { [key]: deleted, ...result } = requireObject(object, element)
+            return result
+        }),
+
+
+        ///
+        /// FUNCTIONS
+        ///
+
+
+        /**
+         * Creates a closure over the scope the function is defined in.
+         * The function sees variables that are defined in that scope later on,
+         * which makes recursion and mutual recursion possible.
+         * With the async attribute, the body may use AWAIT and the function returns a promise.
+         * Calls in tail position run in constant stack space, see markTailCalls.
+         * Parameters may have a type annotation like "n: int", and the returns attribute is the type of the return value.
+         * A LIST or OBJ pattern in the parameter list destructures the argument, see matchPattern.
+         * (func[async?, returns?] paramNameList operation) => function
+         */
+        "FUNC": arity([2, 2, true], (element, scope) => {
+            const operation = element.children[1]
+            return makeFunction(element, scope, localScope => handleElement(operation, localScope))
+        }),
+
+
+        /**
+         * (call function argList?) => any
+         */
+        "CALL": arity([1, 2], (element, scope) => {
+            const func = handleElement(element.children[0], getChildScope(element, scope))
+            const args = element.children[1] ? handleElement(element.children[1], getChildScope(element, scope)) : []
+            return callFunction(func, args, element, scope)
+        }),
+
+
+        //
+        // MACROS
+        //
+
+
+        /**
+         * Defines a macro: a new tag whose children are passed to the body unevaluated, as elements.
+         * The body returns an element (or a list of elements), which is evaluated in place of the macro call.
+         * The last parameter name may start with "..." to get the rest of the children as a list.
+         * Macros are defined for the rest of the htm-lisp element or module.
+         * (defmacro tagName paramNameList body) => tagName
+         */
+        "DEFMACRO": arity([3, 3, true], (element, scope) => {
+            const [name, parameters] = getAllValues(element, getChildScope(element, scope), 2)
+            const tagName = String(name).trim().toUpperCase()
+            if (tagName in TAGS) throw new Error(`DEFMACRO can't redefine the built-in tag ${tagName}!`)
+            if (!Array.isArray(parameters)) throw new Error("The second argument to DEFMACRO must be a list!")
+            const body = element.children[2]
+            const definitionScope = makeScope(scope)
+            scope.context.macros.set(tagName, args => {
+                const localScope = makeScope(definitionScope, "FUNC")
+                parameters.forEach((parameter, i) => {
+                    if (String(parameter).startsWith("..."))
+                        setLocalVariable(localScope, parameter.slice(3), args.slice(i))
+                    else
+                        setLocalVariable(localScope, parameter, args[i])
+                })
+                try { return handleElement(body, localScope) }
+                catch (signal) { return getReturnValue(signal, localScope) }
+            })
+            return tagName
+        }),
+
+
+        /**
+         * Returns a copy of the child element without evaluating it.
+         * The UNQUOTE elements in it are evaluated and replaced by their values:
+         * elements are inserted, lists are spliced in and other values become literals.
+         * (quote element) => element
+         */
+        "QUOTE": arity([1, 1, true], (element, scope) => {
+            const template = element.children[0].cloneNode(true)
+            if (template.tagName === "UNQUOTE") {
+                const values = toElements(getValue(template, makeScope(scope)), template)
+                if (values.length !== 1) throw new Error("QUOTE must produce exactly one element!")
+                return values[0]
+            }
+            replaceUnquotes(template, scope)
+            return template
+        }),
+
+
+        /**
+         * Only valid inside QUOTE.
+         */
+        "UNQUOTE": arity([0, Infinity], (element, scope) => {
+            throw new Error("UNQUOTE can only be used inside QUOTE!")
+        }),
+
+
+        //
+        // ERRORS
+        //
+
+
+        /**
+         * Throws a value as an error. Without children throws the innerText.
+         * (throw value) => never
+         */
+        "THROW": arity([0, Infinity], (element, scope) => {
+            const value = getValue(element, getChildScope(element, scope))
+            const message = typeof value === "string" ? value
+            : typeof value?.message === "string" ? value.message
+            : toText(value)
+            throw new HtmLispError(message, element, scope, value)
+        }),
+
+
+        /**
+         * Evaluates the body. If it throws, binds the error to a variable and evaluates the CATCH clause.
+         * The FINALLY clause is evaluated in any case and its value is ignored.
+         * The error is an object with the keys message, value, tag, path and location.
+         * (try body (catch varName ...handler)? (finally ...elements)?) => any
+         */
+        "TRY": arity([2, 3, true], (element, scope) => {
+            const { bodyOp, catchClause, finallyClause } = getTryClauses(element)
+            try {
+                return handleElement(bodyOp, getChildScope(element, scope))
+            }
+            catch (error) {
+                if (!catchClause || !(error instanceof HtmLispError)) throw error
+                const localScope = bindCaughtError(catchClause, scope, error)
+                let value = null
+                for (let i = 1; i < catchClause.children.length; i++)
+                    value = handleElement(catchClause.children[i], localScope)
+                return value
+            }
+            finally {
+                if (finallyClause) getDerivedValue(finallyClause, makeScope(scope))
+            }
+        }),
+
+
+        /**
+         * Only valid as a clause of TRY.
+         */
+        "CATCH": arity([2, Infinity], (element, scope) => {
+            throw new Error("CATCH can only be used inside TRY!")
+        }),
+
+
+        /**
+         * Only valid as a clause of TRY.
+         */
+        "FINALLY": arity([0, Infinity], (element, scope) => {
+            throw new Error("FINALLY can only be used inside TRY!")
+        }),
+
+
+        //
+        // ASYNC
+        //
+
+
+        /**
+         * Waits for a promise. Only valid in async mode or inside an async FUNC,
+         * where it is evaluated by ASYNC_TAGS instead.
+         * (await promise) => value
+         */
+        "AWAIT": arity([1, 1, true], (element, scope) => {
+            throw new Error("AWAIT can only be used in async mode or inside an async FUNC!")
+        }),
+
+
+        /**
+         * Returns a promise that resolves to null after the given number of milliseconds.
+         * (sleep milliseconds) => promise
+         */
+        "SLEEP": arity([0, Infinity], (element, scope) => {
+            const milliseconds = getValue(element, getChildScope(element, scope))
+            return new Promise(resolve => setTimeout(() => resolve(null), milliseconds))
+        }),
+
+
+        /**
+         * Makes an HTTP request and returns a promise of the response body.
+         * The method attribute defaults to GET. The as attribute is "text" (default) or "json".
+         * A body that isn't a string is sent as JSON.
+         * Without children, the innerText is the URL.
+         * (fetch[method?, as?] url body?) => promise
+         */
+        "FETCH": arity([0, 2], (element, scope) => {
+            const [url, body] = element.childElementCount
+            ? getAllValues(element, getChildScope(element, scope), 2)
+            : [getInnerText(element)]
+            const { method, as } = getAttributes(element)
+            if (as && as !== "text" && as !== "json")
+                throw new Error(`FETCH can read the response as "text" or "json", got "${as}"`)
+            const options = { method: (method ?? "GET").toUpperCase() }
+            if (body !== undefined) {
+                options.body = typeof body === "string" ? body : JSON.stringify(body)
+                if (typeof body !== "string") options.headers = { "Content-Type": "application/json" }
+            }
+            if (typeof scope.context.fetch !== "function")
+                throw new Error("FETCH requires a fetch function, which this environment doesn't have!")
+            return scope.context.fetch(url, options).then(response => {
+                if (!response.ok) throw new Error(`FETCH ${url} failed with status ${response.status}`)
+                return as === "json" ? response.json() : response.text()
+            })
+        }),
+
+
+        //
+        // DOM
+        //
+
+
+        /**
+         * Returns the first element matching the selector, or null.
+         * Searches the document, or the children of the optional parent element.
+         * Without children, the innerText is the selector.
+         * (query selector parent?) => element
+         */
+        "QUERY": arity([0, 2], (element, scope) => {
+            const [selector, parent] = getSelectorArguments(element, scope)
+            return (parent ?? getDocument(scope)).querySelector(selector)
+        }),
+
+
+        /**
+         * Returns a list of all elements matching the selector.
+         * (query-all selector parent?) => list
+         */
+        "QUERY-ALL": arity([0, 2], (element, scope) => {
+            const [selector, parent] = getSelectorArguments(element, scope)
+            return Array.from((parent ?? getDocument(scope)).querySelectorAll(selector))
+        }),
+
+
+        /**
+         * Gets or sets the text content of an element.
+         * The new value is set as text, so it is never interpreted as HTML.
+         * (text element value?) => string
+         */
+        "TEXT": arity([1, 2], (element, scope) => {
+            const [node, value] = getAllValues(element, getChildScope(element, scope), 2)
+            requireNode(node, element)
+            if (element.childElementCount > 1) node.textContent = toText(value)
+            return node.textContent
+        }),
+
+
+        /**
+         * Gets or sets an attribute of an element. Setting null or false removes the attribute.
+         * Event handler attributes and javascript: URLs are not allowed.
+         * (attr element name value?) => string
+         */
+        "ATTR": arity([2, 3], (element, scope) => {
+            const [node, name, value] = getAllValues(element, getChildScope(element, scope), 3)
+            requireNode(node, element)
+            if (element.childElementCount > 2) {
+                if (value === null || value === false) node.removeAttribute(name)
+                else node.setAttribute(name, requireSafeAttribute(name, toText(value)))
+            }
+            return node.getAttribute(name)
+        }),
+
+
+        /**
+         * Gets or sets a style property of an element, e.g. "background-color".
+         * (css element property value?) => string
+         */
+        "CSS": arity([2, 3], (element, scope) => {
+            const [node, property, value] = getAllValues(element, getChildScope(element, scope), 3)
+            requireNode(node, element)
+            if (element.childElementCount > 2) node.style.setProperty(property, toText(value))
+            return node.style.getPropertyValue(property)
+        }),
+
+
+        /**
+         * Adds classes to an element.
+         * (add-class element ...classNames) => element
+         */
+        "ADD-CLASS": arity([2, Infinity], (element, scope) => {
+            const [node, ...classNames] = getAllValues(element, getChildScope(element, scope))
+            requireNode(node, element)
+            node.classList.add(...classNames)
+            return node
+        }),
+
+
+        /**
+         * Removes classes from an element.
+         * (remove-class element ...classNames) => element
+         */
+        "REMOVE-CLASS": arity([2, Infinity], (element, scope) => {
+            const [node, ...classNames] = getAllValues(element, getChildScope(element, scope))
+            requireNode(node, element)
+            node.classList.remove(...classNames)
+            return node
+        }),
+
+
+        /**
+         * Toggles a class of an element. The optional third child forces the class on or off.
+         * (toggle-class element className force?) => boolean
+         */
+        "TOGGLE-CLASS": arity([2, 3], (element, scope) => {
+            const [node, className, force] = getAllValues(element, getChildScope(element, scope), 3)
+            requireNode(node, element)
+            return force === undefined ? node.classList.toggle(className) : node.classList.toggle(className, !!force)
+        }),
+
+
+        /**
+         * (has-class element className) => boolean
+         */
+        "HAS-CLASS": arity([2, 2, true], (element, scope) => {
+            const [node, className] = getAllValues(element, getChildScope(element, scope), 2)
+            requireNode(node, element)
+            return node.classList.contains(className)
+        }),
+
+
+        /**
+         * Creates a new, detached element. Script elements can't be created.
+         * Without children, the innerText is the tag name.
+         * (create tagName) => element
+         */
+        "CREATE": arity([0, Infinity], (element, scope) => {
+            const tagName = String(getValue(element, getChildScope(element, scope))).trim()
+            if (!/^[a-z][a-z0-9-]*$/i.test(tagName))
+                throw new Error(`Invalid tag name: ${tagName}`)
+            if (tagName.toLowerCase() === "script")
+                throw new Error("CREATE can't create script elements!")
+            return getDocument(scope).createElement(tagName)
+        }),
+
+
+        /**
+         * Appends a child to an element. A value that isn't an element is appended as text.
+         * (append-child parent child) => child
+         */
+        "APPEND-CHILD": arity([2, 2, true], (element, scope) => {
+            const [parent, child] = getAllValues(element, getChildScope(element, scope), 2)
+            requireNode(parent, element)
+            const node = isNode(child) ? child : getDocument(scope).createTextNode(toText(child))
+            parent.appendChild(node)
+            return node
+        }),
+
+
+        /**
+         * Removes an element from the page.
+         * (remove-node element) => element
+         */
+        "REMOVE-NODE": arity([1, 1, true], (element, scope) => {
+            const node = getValue(element, getChildScope(element, scope))
+            requireNode(node, element)
+            node.remove()
+            return node
+        }),
+
+
+        /**
+         * Calls a function on an event of the target. The target is an element,
+         * a list of elements or a selector. The function gets the event as an object.
+         * With the prevent attribute, the default action of the event is prevented.
+         * (on[prevent?] target eventName function) => function
+         */
+        "ON": arity([3, 3, true], (element, scope) => {
+            const [target, eventName, handler] = getAllValues(element, getChildScope(element, scope), 3)
+            if (typeof handler !== "function")
+                throw new Error("ON requires a function as the event handler!")
+            const preventDefault = "prevent" in getAttributes(element)
+            for (const node of getEventTargets(target, element, scope)) {
+                const listener = event => {
+                    if (preventDefault) event.preventDefault()
+                    callEventHandler(handler, event, element, scope)
+                }
+                node.addEventListener(eventName, listener)
+                if (!LISTENERS.has(node)) LISTENERS.set(node, [])
+                LISTENERS.get(node).push({ eventName, handler, listener })
+            }
+            return handler
+        }),
+
+
+        /**
+         * Removes the event handlers added with ON. Without a function, removes all handlers of the event.
+         * (off target eventName function?) => int
+         */
+        "OFF": arity([2, 3], (element, scope) => {
+            const [target, eventName, handler] = getAllValues(element, getChildScope(element, scope), 3)
+            let removedCount = 0
+            for (const node of getEventTargets(target, element, scope)) {
+                const listeners = LISTENERS.get(node) ?? []
+                for (const entry of listeners.slice()) {
+                    if (entry.eventName !== eventName || (handler !== undefined && entry.handler !== handler)) continue
+                    node.removeEventListener(eventName, entry.listener)
+                    listeners.splice(listeners.indexOf(entry), 1)
+                    removedCount++
+                }
+            }
+            return removedCount
+        }),
+
+
+        //
+        // MODULES
+        //
+
+
+        /**
+         * Loads and evaluates the htm-lisp file given by the src attribute, once per page.
+         * With the as attribute, binds an object of the exported values to that name.
+         * With children, binds only the exported variables they name.
+         * Else, binds all exported variables. Imported variables stay live.
+         * In the browser, modules are fetched and can only be imported in async mode.
+         * (import[src, as?] ...varNames?) => object
+         */
+        "IMPORT": arity([0, Infinity], (element, scope) => {
+            const id = resolveModule(element, scope)
+            let module = MODULES.get(id)
+            if (!module) {
+                const source = scope.context.load(id)
+                if (typeof source?.then === "function")
+                    throw new Error(`IMPORT of ${id} requires async mode!`)
+                module = evaluateModule(id, source, scope)
+            }
+            if (typeof module.then === "function")
+                throw new Error(`IMPORT of ${id} requires async mode, the module is still loading!`)
+            return bindImports(element, scope, id, module)
+        }),
+
+
+        /**
+         * Chooses the variables a module exposes to IMPORT. Only valid in a module.
+         * (export ...varNames) => list
+         */
+        "EXPORT": arity([0, Infinity], (element, scope) => {
+            const { exportedNames } = scope.context
+            if (!exportedNames) throw new Error("EXPORT can only be used in a module!")
+            const names = element.childElementCount
+            ? getAllValues(element, getChildScope(element, scope))
+            : [getInnerText(element)]
+            for (const name of names) exportedNames.add(name)
+            return names
+        }),
+
+
+        //
+        // INPUT-OUTPUT
+        //
+
+
+        /**
+         * (read promptMessage defaultValue)
+         */
+        "READ": arity([2, 2, true], (element, scope) => {
+            const [message, defaultValue] = getAllValues(element, getChildScope(element, scope), 2)
+            return scope.context.read(message, defaultValue)
+        }),
+
+
+        //
+        // DEBUGGING
+        //
+
+
+        /**
+         * Pauses the debugger of the context, if there is one. Else, does nothing.
+         * (debugger) => null
+         */
+        "DEBUGGER": arity([0, 0, true], (element, scope) => {
+            return null
+        }),
+
+    }
+
+
+    /**
+     * Async versions of the tags that evaluate their children conditionally, repeatedly or in a shared scope,
+     * and of AND and OR. They are only used for elements that contain an AWAIT.
+     * Other tags get their children evaluated and awaited beforehand, see handleElementAsync,
+     * so every tag that doesn't evaluate each of its children once needs an entry here.
+     */
+    const ASYNC_TAGS = {
+
+        "AWAIT": async (element, scope) => {
+            return await handleElementAsync(element.children[0], makeScope(scope))
+        },
+
+
+        "IMPORT": async (element, scope) => {
+            const id = resolveModule(element, scope)
+            if (!MODULES.has(id)) {
+                const promise = (async () => {
+                    const source = await scope.context.load(id)
+                    return await evaluateModuleAsync(id, source, scope)
+                })()
+                MODULES.set(id, promise)
+                promise.then(
+                    exports => MODULES.set(id, exports),
+                    () => MODULES.delete(id),
+                )
+            }
+            return bindImports(element, scope, id, await MODULES.get(id))
+        },
+
+
+        "BLOCK": async (element, scope) => {
+            const localScope = makeScope(scope)
+            let value = null
+            for (const child of element.children)
+                value = await handleElementAsync(child, localScope)
+            return value
+        },
+
+
+        "AND": async (element, scope) => {
+            const values = await getAllValuesAsync(element, makeScope(scope))
+            return values.reduce((x, y) => x && y)
+        },
+
+
+        "OR": async (element, scope) => {
+            const values = await getAllValuesAsync(element, makeScope(scope))
+            return values.reduce((x, y) => x || y)
+        },
+
+
+        "IF": async (element, scope) => {
+            const [conditionalElement, thenElement, elseElement] = element.children
+            return await handleElementAsync(conditionalElement, makeScope(scope))
+            ? await handleElementAsync(thenElement, makeScope(scope))
+            : elseElement && await handleElementAsync(elseElement, makeScope(scope))
+        },
+
+
+        "MATCH": async (element, scope) => {
+            const [valueOp, ...clauses] = element.children
+            const value = await handleElementAsync(valueOp, makeScope(scope))
+            for (const clause of clauses) {
+                const [pattern, guard, body] = getCaseParts(clause)
+                const localScope = makeScope(scope)
+                if (!bindPattern(pattern, value, localScope)) continue
+                if (guard && !await handleElementAsync(guard, localScope)) continue
+                return await handleElementAsync(body, localScope)
+            }
+            throw new Error(`No CASE of MATCH matches the value ${toText(value)}!`)
+        },
+
+
+        "DEF": async (element, scope) => {
+            return await declareFromElementAsync(element, scope, scope)
+        },
+
+
+        "CONST": async (element, scope) => {
+            return await declareFromElementAsync(element, scope, scope, true)
+        },
+
+
+        "GLOBAL": async (element, scope) => {
+            return await declareFromElementAsync(element, scope, getTopLevelScope(scope))
+        },
+
+
+        "FOR": async (element, scope) => {
+            const count = element.childElementCount
+            const [varName, start, stop, step = 1] = await getAllValuesAsync(element, makeScope(scope), count - 1)
+            if (!step) throw new Error("The step of FOR can't be 0!")
+            const attributes = getAttributes(element)
+            const iterationOp = element.children[count - 1]
+            const result = "discard" in attributes ? null : []
+            let iteration = 0
+            for (let i = start; isInRange(i, stop, step); i += step) {
+                checkIteration(++iteration, scope, false)
+                const localScope = makeScope(scope, "LOOP", attributes.label)
+                setLocalVariable(localScope, varName, i)
+                const value = await handleLoopBodyAsync(iterationOp, localScope)
+                if (value instanceof ControlSignal) {
+                    if (value.kind === "BREAK") break
+                }
+                else result?.push(value)
+                i = localScope.local[varName].value
+            }
+            return result
+        },
+
+
+        "WHILE": async (element, scope) => {
+            const conditionOp = element.children[0]
+            const bodyOp = element.children[1]
+            const attributes = getAttributes(element)
+            const result = "discard" in attributes ? null : []
+            let iteration = 0
+            while (true) {
+                const localScope = makeScope(scope, "LOOP", attributes.label)
+                if (!await handleElementAsync(conditionOp, localScope)) break
+                checkIteration(++iteration, scope, false)
+                const value = await handleLoopBodyAsync(bodyOp, localScope)
+                if (value instanceof ControlSignal) {
+                    if (value.kind === "BREAK") break
+                }
+                else result?.push(value)
+            }
+            return result
+        },
+
+
+        "FOR-EACH": async (element, scope) => {
+            const count = element.childElementCount
+            const [iterable, varName, indexName] = await getAllValuesAsync(element, makeScope(scope), count - 1)
+            const attributes = getAttributes(element)
+            const iterationOp = element.children[count - 1]
+            const result = "discard" in attributes ? null : []
+            const items = getItems(iterable, element)
+            for (let i = 0; i < items.length; i++) {
+                checkIteration(i + 1, scope, false)
+                const localScope = makeScope(scope, "LOOP", attributes.label)
+                setLocalVariable(localScope, varName, items[i])
+                if (indexName !== undefined) setLocalVariable(localScope, indexName, i)
+                const value = await handleLoopBodyAsync(iterationOp, localScope)
+                if (value instanceof ControlSignal) {
+                    if (value.kind === "BREAK") break
+                }
+                else result?.push(value)
+            }
+            return result
+        },
+
+
+        "MAP": async (element, scope) => {
+            const [iterable, varName] = await getAllValuesAsync(element, makeScope(scope), 2)
+            return await evaluateForItemsAsync(getItems(iterable, element), varName, element.children[2], scope)
+        },
+
+
+        "FILTER": async (element, scope) => {
+            const [iterable, varName] = await getAllValuesAsync(element, makeScope(scope), 2)
+            const items = getItems(iterable, element)
+            const values = await evaluateForItemsAsync(items, varName, element.children[2], scope)
+            return items.filter((x, i) => values[i])
+        },
+
+
+        "REDUCE": async (element, scope) => {
+            const [iterable, varName1, varName2] = await getAllValuesAsync(element, makeScope(scope), 3)
+            const operation = element.children[3]
+            const items = getItems(iterable, element)
+            const initialOp = element.children[4]
+            if (!initialOp && !items.length) throw new Error("REDUCE of an empty list requires an initial value!")
+            let result = initialOp ? await handleElementAsync(initialOp, makeScope(scope)) : items[0]
+            let iteration = 0
+            for (let i = initialOp ? 0 : 1; i < items.length; i++) {
+                checkIteration(++iteration, scope, false)
+                const localScope = makeScope(scope)
+                setLocalVariable(localScope, varName1, result)
+                setLocalVariable(localScope, varName2, items[i])
+                result = await handleElementAsync(operation, localScope)
+            }
+            return result
+        },
+
+
+        "FIND": async (element, scope) => {
+            const [iterable, varName] = await getAllValuesAsync(element, makeScope(scope), 2)
+            const items = getItems(iterable, element)
+            const values = await evaluateForItemsAsync(items, varName, element.children[2], scope, Boolean)
+            return values.some(Boolean) ? items[values.length - 1] : null
+        },
+
+
+        "FIND-INDEX": async (element, scope) => {
+            const [iterable, varName] = await getAllValuesAsync(element, makeScope(scope), 2)
+            const values = await evaluateForItemsAsync(getItems(iterable, element), varName, element.children[2], scope, Boolean)
+            return values.findIndex(Boolean)
+        },
+
+
+        "SOME": async (element, scope) => {
+            const [iterable, varName] = await getAllValuesAsync(element, makeScope(scope), 2)
+            const values = await evaluateForItemsAsync(getItems(iterable, element), varName, element.children[2], scope, Boolean)
+            return values.some(Boolean)
+        },
+
+
+        "EVERY": async (element, scope) => {
+            const [iterable, varName] = await getAllValuesAsync(element, makeScope(scope), 2)
+            const values = await evaluateForItemsAsync(getItems(iterable, element), varName, element.children[2], scope, x => !x)
+            return values.every(Boolean)
+        },
+
+
+        "FLAT-MAP": async (element, scope) => {
+            const [iterable, varName] = await getAllValuesAsync(element, makeScope(scope), 2)
+            const values = await evaluateForItemsAsync(getItems(iterable, element), varName, element.children[2], scope)
+            return values.flat()
+        },
+
+
+        "GROUP-BY": async (element, scope) => {
+            const [iterable, varName] = await getAllValuesAsync(element, makeScope(scope), 2)
+            const items = getItems(iterable, element)
+            return groupItems(items, await evaluateForItemsAsync(items, varName, element.children[2], scope))
+        },
+
+
+        "IDX": async (element, scope) => {
+            const [iterable, index] = await getAllValuesAsync(element, makeScope(scope), 2)
+            if (element.children[2] && Array.isArray(iterable) && index in iterable) {
+                iterable[index] = await handleElementAsync(element.children[2], makeScope(scope))
+            }
+            return getAtIndex(iterable, index)
+        },
+
+
+        "TRY": async (element, scope) => {
+            const { bodyOp, catchClause, finallyClause } = getTryClauses(element)
+            try {
+                return await handleElementAsync(bodyOp, makeScope(scope))
+            }
+            catch (error) {
+                if (!catchClause || !(error instanceof HtmLispError)) throw error
+                const localScope = bindCaughtError(catchClause, scope, error)
+                let value = null
+                for (let i = 1; i < catchClause.children.length; i++)
+                    value = await handleElementAsync(catchClause.children[i], localScope)
+                return value
+            }
+            finally {
+                if (finallyClause) await ASYNC_TAGS.BLOCK(finallyClause, scope)
+            }
+        },
+
+    }
+
+
+    /**
+     * Compiled versions of the tags that programs spend the most time in, see compileElement.
+     * Each gets the element and its static scope, and returns a function that takes the scope and returns the value
+     * like the handler in TAGS does. The children are compiled along with the element, and are evaluated in the same
+     * scopes as by the handler, so that their static scopes stand for the scopes they are evaluated in.
+     * An entry may return null, e.g. for a computed variable name. The handler evaluates the element then.
+     */
+    const COMPILED_TAGS = {
+
+        "DEF": (element, staticScope) => {
+            return compileDeclaration(element, staticScope, false)
+        },
+
+
+        "CONST": (element, staticScope) => {
+            return compileDeclaration(element, staticScope, true)
+        },
+
+
+        "MUT": (element, staticScope) => {
+            const varName = getLiteralName(element.children[0])
+            if (varName === null) return null
+            const binds = hasBindingChild(element)
+            const value = compileElement(element.children[1], getStaticChildScope(element, staticScope))
+            const lookup = compileLookup(varName, staticScope)
+            return scope => {
+                const result = value(binds ? makeScope(scope) : scope)
+                return assignVariable(lookup(scope), varName, result)
+            }
+        },
+
+
+        "VAR": (element, staticScope) => {
+            if (element.childElementCount) return null
+            const lookup = compileLookup(String(getInnerText(element)), staticScope)
+            return scope => lookup(scope).value
+        },
+
+
+        "BLOCK": (element, staticScope) => {
+            if (!element.childElementCount) return null
+            return compileCombination(element, staticScope, values => values.at(-1))
+        },
+
+
+        "INC": (element, staticScope) => {
+            return compileIncrement(element, staticScope, "ADD")
+        },
+
+
+        "DEC": (element, staticScope) => {
+            return compileIncrement(element, staticScope, "SUB")
+        },
+
+
+        "LIST": (element, staticScope) => {
+            return compileCombination(element, staticScope, values => values)
+        },
+
+
+        "AND": (element, staticScope) => {
+            return compileCombination(element, staticScope, values => values.reduce((x, y) => x && y), (x, y) => x && y)
+        },
+
+
+        "OR": (element, staticScope) => {
+            return compileCombination(element, staticScope, values => values.reduce((x, y) => x || y), (x, y) => x || y)
+        },
+
+
+        "NOT": (element, staticScope) => {
+            return compileCombination(element, staticScope, values => !values[0])
+        },
+
+
+        "ADD": (element, staticScope) => {
+            return compileCalculation(element, staticScope)
+        },
+
+
+        "SUB": (element, staticScope) => {
+            return compileCalculation(element, staticScope)
+        },
+
+
+        "MUL": (element, staticScope) => {
+            return compileCalculation(element, staticScope)
+        },
+
+
+        "DIV": (element, staticScope) => {
+            return compileCalculation(element, staticScope)
+        },
+
+
+        "MOD": (element, staticScope) => {
+            return compileCalculation(element, staticScope)
+        },
+
+
+        "POW": (element, staticScope) => {
+            return compileCalculation(element, staticScope)
+        },
+
+
+        "IDIV": (element, staticScope) => {
+            return compileCalculation(element, staticScope)
+        },
+
+
+        "EQ": (element, staticScope) => {
+            return compileComparison(element, staticScope, (x, y) => isEqual(x, y))
+        },
+
+
+        "NE": (element, staticScope) => {
+            return compileComparison(element, staticScope, (x, y) => !isEqual(x, y))
+        },
+
+
+        "GT": (element, staticScope) => {
+            return compileComparison(element, staticScope, (x, y) => {
+                const [a, b] = getComparable(x, y)
+                return a > b
+            })
+        },
+
+
+        "GTE": (element, staticScope) => {
+            return compileComparison(element, staticScope, (x, y) => {
+                const [a, b] = getComparable(x, y)
+                return a >= b
+            })
+        },
+
+
+        "LT": (element, staticScope) => {
+            return compileComparison(element, staticScope, (x, y) => {
+                const [a, b] = getComparable(x, y)
+                return a < b
+            })
+        },
+
+
+        "LTE": (element, staticScope) => {
+            return compileComparison(element, staticScope, (x, y) => {
+                const [a, b] = getComparable(x, y)
+                return a <= b
+            })
+        },
+
+
+        "IF": (element, staticScope) => {
+            const [binds, [condition, then, otherwise]] = compileSeparateChildren(element, staticScope, 3)
+            if (!binds) return scope => condition(scope) ? then(scope) : otherwise && otherwise(scope)
+            return scope => condition(makeScope(scope)) ? then(makeScope(scope)) : otherwise && otherwise(makeScope(scope))
+        },
+
+
+        "CALL": (element, staticScope) => {
+            const [binds, [func, args]] = compileSeparateChildren(element, staticScope, 2)
+            return scope => {
+                const value = func(binds ? makeScope(scope) : scope)
+                return callFunction(value, args ? args(binds ? makeScope(scope) : scope) : [], element, scope)
+            }
+        },
+
+
+        "FUNC": (element, staticScope) => {
+            if (element.hasAttribute("async")) return null
+            const [parameterList, operation] = element.children
+            const parameters = parameterList.tagName === "LIST"
+            ? Array.from(parameterList.children).flatMap(x => getLiteralTargetNames(x, true))
+            : [null]
+            // The scope that makeFunction makes for the function, which has no variables of its own.
+            const definitionScope = { names: new Set(), parent: staticScope }
+            const body = compileElement(operation, makeStaticScope(definitionScope, [operation], parameters))
+            return scope => makeFunction(element, scope, localScope => runCompiled(body, operation, localScope))
+        },
+
+
+        "FOR": (element, staticScope) => {
+            const count = element.childElementCount
+            const headerElements = Array.from(element.children).slice(0, count - 1)
+            const binds = hasBindingChild(element)
+            const header = compileElements(headerElements, getStaticChildScope(element, staticScope, headerElements))
+            const operation = element.children[count - 1]
+            const body = compileElement(operation, makeStaticScope(staticScope, [operation], [getLiteralName(headerElements[0])]))
+            return scope => {
+                const childScope = binds ? makeScope(scope) : scope
+                return runForLoop(element, scope, header.map(x => x(childScope)), body)
+            }
+        },
+
+
+        "WHILE": (element, staticScope) => {
+            const [condition, body] = compileElements(element.children, makeStaticScope(staticScope, element.children))
+            return scope => runWhileLoop(element, scope, condition, body)
+        },
+
+
+        "FOR-EACH": (element, staticScope) => {
+            const count = element.childElementCount
+            const headerElements = Array.from(element.children).slice(0, count - 1)
+            const binds = hasBindingChild(element)
+            const header = compileElements(headerElements, getStaticChildScope(element, staticScope, headerElements))
+            const operation = element.children[count - 1]
+            const names = headerElements.slice(1).map(getLiteralName)
+            const body = compileElement(operation, makeStaticScope(staticScope, [operation], names))
+            return scope => {
+                const childScope = binds ? makeScope(scope) : scope
+                return runForEachLoop(element, scope, header.map(x => x(childScope)), body)
+            }
+        },
+
+    }
+
+
+    //
+    //  UTIL FUNCTIONS
+    //
+
+    /**
+     * Makes a scope ready for child elements.
+     * The new scope is linked to its parent, so variables are looked up
+     * through the chain of enclosing scopes instead of being copied.
+     * @param {object} scope 
+     * @param {string} boundary "LOOP" or "FUNC" if the scope is the target of BREAK, CONTINUE or RETURN.
+     * @param {string} label The label of a loop scope.
+     * @returns An object.
+     */
+    function makeScope(scope, boundary = null, label = null) {
+        return {local: {}, parent: scope, context: scope.context, boundary, label}
+    }
+
+
+    /**
+     * The variables defined by the host page with define.
+     * Every top-level scope is linked to it, so they are visible to every program.
+     */
+    const GLOBALS = {local: {}, parent: null, context: null}
+
+
+    /**
+     * Creates an empty top-level scope.
+     * The context connects the interpreter to its host: where PRINT writes,
+     * where READ reads from and where errors of top-level elements are reported.
+     * @param {object} context Overrides for the default browser context.
+     * @returns An object.
+     */
+    function createScope(context = {}) {
+        return {local: {}, parent: GLOBALS, context: {...DEFAULT_CONTEXT, ...context, callStack: [], macros: new Map(), busy: 0, busySince: 0}}
+    }
+
+
+    /**
+     * Defines a variable that every program can use, e.g. a JS function to call with CALL.
+     * Programs can shadow it with DEF.
+     * @param {string} varName 
+     * @param {*} value 
+     * @returns The value.
+     */
+    function define(varName, value) {
+        return setLocalVariable(GLOBALS, varName, value)
+    }
+
+
+    /**
+     * Adds a custom tag. The handler gets the element and its scope, like the built-in tags,
+     * and can use the same helpers, e.g. getAllValues and requireChildrenCount.
+     * The optional async handler is used in async mode when the element contains an AWAIT.
+     * Without it, the children of such an element are evaluated and awaited before the handler is called.
+     * @param {string} name The tag name.
+     * @param {Function} handler (element, scope) => value
+     * @param {Function} asyncHandler async (element, scope) => value
+     */
+    function registerTag(name, handler, asyncHandler = null) {
+        const tagName = String(name).toUpperCase()
+        if (!/^[A-Z][A-Z0-9-]*$/.test(tagName)) throw new Error(`Invalid tag name: ${name}`)
+        if (tagName in TAGS) throw new Error(`The tag ${tagName} is already defined!`)
+        if (typeof handler !== "function") throw new Error(`The handler of ${tagName} must be a function!`)
+        TAGS[tagName] = handler
+        if (asyncHandler) ASYNC_TAGS[tagName] = asyncHandler
+    }
+
+
+    /**
+     * The variables of the named environments, shared by the roots with the same env attribute.
+     */
+    const ENVIRONMENTS = new Map()
+
+
+    /**
+     * The attributes of a htm-lisp root that override the limits of the context.
+     */
+    const ROOT_LIMITS = [["max-depth", "maxDepth"], ["max-iterations", "maxIterations"], ["max-time", "maxTime"]]
+
+
+    /**
+     * Creates the top-level scope of a htm-lisp root element.
+     * Roots with the same env attribute share their variables. Other roots are isolated.
+     * The max-depth, max-iterations and max-time attributes set the limits of the evaluation.
+     * @param {*} root The root element.
+     * @param {object} context Overrides for the default browser context.
+     * @returns An object.
+     */
+    function createRootScope(root, context = {}) {
+        const limits = {}
+        for (const [attribute, key] of ROOT_LIMITS)
+            if (root.hasAttribute(attribute)) limits[key] = Number(root.getAttribute(attribute))
+        const scope = createScope({ ...context, ...limits })
+        const env = root.getAttribute("env")
+        if (env) {
+            if (!ENVIRONMENTS.has(env)) ENVIRONMENTS.set(env, scope.local)
+            scope.local = ENVIRONMENTS.get(env)
+        }
+        return scope
+    }
+
+
+    /**
+     * The exports of the imported modules by module id, or promises of them while they load.
+     */
+    const MODULES = new Map()
+
+
+    /**
+     * Resolves the src attribute of an IMPORT element relative to the importing file.
+     * Throws an error if the module is already being imported by itself or its imports.
+     * @param {*} element The IMPORT element.
+     * @param {*} scope 
+     * @returns The module id, e.g. a URL or a file path.
+     */
+    function resolveModule(element, scope) {
+        const { src } = getAttributes(element)
+        if (!src) throw new Error("IMPORT requires a src attribute!")
+        const { context } = scope
+        const id = context.resolve(src, context.baseUrl)
+        const importChain = context.importChain ?? []
+        if (importChain.includes(id))
+            throw new Error("Cyclic import: " + [...importChain.slice(importChain.indexOf(id)), id].join(" -> "))
+        return id
+    }
+
+
+    /**
+     * Creates the top-level scope of a module.
+     * Relative imports of the module are resolved relative to the module.
+     * @param {string} id The module id.
+     * @param {*} scope The scope of the IMPORT element.
+     * @returns An object.
+     */
+    function createModuleScope(id, scope) {
+        const { context } = scope
+        return createScope({
+            ...context,
+            baseUrl: id,
+            importChain: [...(context.importChain ?? []), id],
+            exportedNames: new Set(),
+        })
+    }
+
+
+    /**
+     * Gets the elements of a parsed module to evaluate.
+     * These are the htm-lisp elements or, if there are none, the document itself.
+     * @param {*} document The parsed module.
+     * @returns A list of root elements.
+     */
+    function getModuleRoots(document) {
+        const roots = Array.from(document.getElementsByTagName("htm-lisp"))
+        return roots.length ? roots : [document.body ?? document]
+    }
+
+
+    /**
+     * Gets the exported variables of an evaluated module.
+     * Throws an error if an exported variable is undefined.
+     * @param {string} id The module id.
+     * @param {*} moduleScope 
+     * @returns An object of Variables by name.
+     */
+    function getModuleExports(id, moduleScope) {
+        const exports = {}
+        for (const name of moduleScope.context.exportedNames) {
+            if (!(name in moduleScope.local)) throw new Error(`${id} exports an undefined variable: ${name}`)
+            exports[name] = moduleScope.local[name]
+        }
+        return exports
+    }
+
+
+    /**
+     * Evaluates a module and caches its exports. Any error fails the import.
+     * @param {string} id The module id.
+     * @param {string} source The source of the module.
+     * @param {*} scope The scope of the IMPORT element.
+     * @returns An object of Variables by name.
+     */
+    function evaluateModule(id, source, scope) {
+        const moduleScope = createModuleScope(id, scope)
+        for (const root of getModuleRoots(scope.context.parse(source, id)))
+            for (const element of getProgram(root).children) handleElement(element, moduleScope)
+        const exports = getModuleExports(id, moduleScope)
+        MODULES.set(id, exports)
+        return exports
+    }
+
+
+    /**
+     * Evaluates a module like evaluateModule, in async mode.
+     * @returns A promise of an object of Variables by name.
+     */
+    async function evaluateModuleAsync(id, source, scope) {
+        const moduleScope = createModuleScope(id, scope)
+        for (const root of getModuleRoots(scope.context.parse(source, id)))
+            for (const element of getProgram(root).children) await handleElementAsync(element, moduleScope)
+        return getModuleExports(id, moduleScope)
+    }
+
+
+    /**
+     * Binds the exports of a module in the scope of an IMPORT element.
+     * Throws an error if the scope already has a variable with one of the names, like DEF.
+     * @param {*} element The IMPORT element.
+     * @param {*} scope 
+     * @param {string} id The module id.
+     * @param {object} exports The Variables exported by the module.
+     * @returns An object of the exported values.
+     */
+    function bindImports(element, scope, id, exports) {
+        const namespace = {}
+        for (const name in exports) namespace[name] = exports[name].value
+        const { as } = getAttributes(element)
+        const names = getAllValues(element, makeScope(scope))
+        for (const name of names)
+            if (!(name in exports)) throw new Error(`${id} does not export ${name}`)
+        if (as) return declareVariable(scope, as, namespace)
+        const imported = names.length ? names : Object.keys(exports)
+        imported.forEach(name => requireUndeclared(scope, name))
+        // The Variables of the module are bound as they are, so both sides see changes
+        for (const name of imported) scope.local[name] = exports[name]
+        return namespace
+    }
+
+
+    /**
+     * Gets the console style of a htm-lisp root element from its attributes.
+     * @param {*} root The root element.
+     * @returns A CSS string for console.log.
+     */
+    function getConsoleStyle(root) {
+        return `
+            color: ${root.getAttribute("color") ?? "chartreuse"};
+            font-family: ${root.getAttribute("font-family") ?? "'Courier New', Lucida Console, monospace"};
+            font-size: ${root.getAttribute("font-size") ?? "12px"};
+        `
+    }
+
+
+    const EVALUATED_ROOTS = new WeakMap()
+
+
+    /**
+     * Gets the top-level scope of a htm-lisp root element of the page.
+     * @param {*} root The root element.
+     * @returns The scope, or undefined if the root hasn't been evaluated.
+     */
+    function getRootScope(root) {
+        return EVALUATED_ROOTS.get(root)
+    }
+
+
+    let PAGE_DEBUGGER = null
+
+    /**
+     * Debugs the htm-lisp root elements of the page that are evaluated from now on.
+     * By default, pauses are shown in a panel on the page and commands are asked with prompt.
+     * @param {function} onPause See Debugger.
+     * @returns The Debugger, e.g. to set breakpoints.
+     */
+    function debug(onPause = showDebugPanel) {
+        PAGE_DEBUGGER = new Debugger(onPause)
+        return PAGE_DEBUGGER
+    }
+
+
+    /**
+     * Hides a htm-lisp root element of the page and evaluates it, unless it already has been.
+     * Uses async mode if the root has the async attribute.
+     * @param {*} root The root element.
+     * @returns The scope of the root.
+     */
+    function evaluateRoot(root) {
+        if (EVALUATED_ROOTS.has(root)) return EVALUATED_ROOTS.get(root)
+        root.style.display = "none"
+        const consoleStyle = getConsoleStyle(root)
+        const scope = createRootScope(root, {
+            print: output => console.log("%c" + output, consoleStyle),
+            debugger: PAGE_DEBUGGER,
+        })
+        EVALUATED_ROOTS.set(root, scope)
+        if (root.hasAttribute("async")) runAsync(root, scope)
+        else run(root, scope)
+        return scope
+    }
+
+
+    /**
+     * Evaluates the htm-lisp root elements that are added to the page later on,
+     * e.g. by client-side routing.
+     * @param {*} target The element to watch. Defaults to the whole document.
+     * @returns The MutationObserver, which can be disconnected.
+     */
+    function observe(target = document.documentElement) {
+        const observer = new MutationObserver(records => {
+            for (const record of records) {
+                for (const node of record.addedNodes) {
+                    if (node.nodeType !== 1) continue
+                    if (node.tagName === "HTM-LISP") evaluateRoot(node)
+                    else node.querySelectorAll("htm-lisp").forEach(evaluateRoot)
+                }
+            }
+        })
+        observer.observe(target, { childList: true, subtree: true })
+        return observer
+    }
+
+
+    /**
+     * Evaluates every child element of a root element in the given scope.
+     * An error in one child is reported and the evaluation continues with the next one.
+     * A root with type="sexp" is read from its s-expression form first.
+     * @param {*} root The root element, e.g. a htm-lisp element.
+     * @param {*} scope The scope shared by the children.
+     * @returns The number of reported errors.
+     */
+    function run(root, scope) {
+        try { root = getProgram(root) }
+        catch (error) {
+            scope.context.error(toHtmLispError(error, root, scope))
+            return 1
+        }
+        let errorCount = 0
+        for (const element of root.children) {
+            try { handleElement(element, scope) }
+            catch (error) {
+                errorCount++
+                scope.context.error(error)
+            }
+        }
+        return errorCount
+    }
+
+
+    /**
+     * Evaluates every child element of a root element like run, in async mode.
+     * AWAIT can be used in the children and each child is awaited before the next one.
+     * @param {*} root The root element, e.g. a htm-lisp element.
+     * @param {*} scope The scope shared by the children.
+     * @returns A promise of the number of reported errors.
+     */
+    async function runAsync(root, scope) {
+        try { root = getProgram(root) }
+        catch (error) {
+            scope.context.error(toHtmLispError(error, root, scope))
+            return 1
+        }
+        let errorCount = 0
+        for (const element of root.children) {
+            try { await handleElementAsync(element, scope) }
+            catch (error) {
+                errorCount++
+                scope.context.error(error)
+            }
+        }
+        return errorCount
+    }
+
+
+    let DETACHED_CONSOLE_SCOPE = null
+
+    /**
+     * The latest scope of the console by the scope it is in.
+     */
+    const CONSOLE_SCOPES = new WeakMap()
+
+    /**
+     * Makes the scope for the next eval without a scope, e.g. from the devtools console.
+     * It is a new scope inside the scopes of the earlier evals, so their variables stay visible
+     * and can be declared again, like the inputs of the repl command.
+     * The outermost scope is the scope of the first htm-lisp root of the page, which is also window.SCOPE,
+     * or a scope of its own if the page has no evaluated roots.
+     * @returns An object.
+     */
+    function makeConsoleScope() {
+        const root = typeof document === "undefined" ? null : document.querySelector("htm-lisp")
+        const pageScope = (root && getRootScope(root)) ?? (DETACHED_CONSOLE_SCOPE ??= createScope())
+        const scope = makeScope(CONSOLE_SCOPES.get(pageScope) ?? pageScope)
+        CONSOLE_SCOPES.set(pageScope, scope)
+        return scope
+    }
+
+
+    /**
+     * Reads source code typed by hand into a root element.
+     * Source that starts with "(" or a ";" comment is read as s-expressions, other source as elements.
+     * @param {string} source
+     * @param {*} scope The scope whose context parses the source.
+     * @returns A root element whose children are the top-level elements.
+     */
+    function readSource(source, scope) {
+        const { context } = scope
+        const isSexp = /^\s*[(;]/.test(source)
+        const document = context.parse(isSexp ? "" : source, context.baseUrl)
+        return isSexp ? readSexp(source, document) : document.body ?? document
+    }
+
+
+    /**
+     * Evaluates source code in a scope, e.g. from the devtools console: HtmLisp.eval("(var x)").
+     * Unlike run, errors are thrown instead of reported.
+     * The variables that the source declares stay in the scope for the next eval.
+     * @param {string} source Elements or s-expressions.
+     * @param {*} scope Defaults to a new scope inside the page's, see makeConsoleScope.
+     * @returns The value of the last top-level element, or null if there is none.
+     */
+    function evalSource(source, scope = makeConsoleScope()) {
+        let value = null
+        for (const element of Array.from(readSource(source, scope).children))
+            value = handleElement(element, scope)
+        return value
+    }
+
+
+    /**
+     * Evaluates source code like eval, in async mode.
+     * @param {string} source Elements or s-expressions.
+     * @param {*} scope Defaults to a new scope inside the page's, see makeConsoleScope.
+     * @returns A promise of the value of the last top-level element, or null if there is none.
+     */
+    async function evalSourceAsync(source, scope = makeConsoleScope()) {
+        let value = null
+        for (const element of Array.from(readSource(source, scope).children))
+            value = await handleElementAsync(element, scope)
+        return value
+    }
+
+
+    /**
+     * Evaluates all child elements and returns their values in a list.
+     * Calls handle element on every child.
+     * @param {*} element 
+     * @param {*} scope 
+     * @returns A list of values.
+     */
     function getAllValues(element, scope, limit = 0) {
         const result = []
         for (const child of element.children) {
-            result.push(handleElement(child, scope))
-            if (limit && result.length === limit) break 
+            result.push(handleElement(child, scope))
+            if (limit && result.length === limit) break 
+        }
+        return result
+    }
+
+
+    /**
+     * Gets the attribute names and values of an element.
+     * @param {*} element The element.
+     * @returns An object of attribute names and values.
+     */
+    function getAttributes(element) {
+        const result = {}
+        for (const attribute of element.attributes) {
+            result[attribute.name] = element.getAttribute(attribute.name)
+        }
+        return result
+    }
+
+
+    /**
+     * Gets the inner text of an element.
+     * Character references are decoded, so the text of <str>a &lt; b</str> is "a < b",
+     * and text that readSexp stores with textContent is read back unchanged.
+     * @param {*} element 
+     * @param {boolean} inferType If false, the text is returned as it is, e.g. to keep the digits of a BIGINT.
+     * @returns The inner text of an element. By default, text that is a number is converted to one.
+     */
+    function getInnerText(element, inferType = true) {
+        const value = element.textContent
+        if (!inferType) return value
+        return value.trim() === "" ? value : isNaN(value) ? value : +value
+    }
+
+
+    /**
+     * Evaluates all the children and returns the last value.
+     * @param {*} element 
+     * @param {*} scope 
+     * @returns The last value of the evaluated children.
+     */
+    function getDerivedValue(element, scope) {
+        let value = null
+        for (const child of element.children) {
+            value = handleElement(child, scope)
+        }
+        return value
+    }
+
+
+    /**
+     * Gets the value produced by the element's children.
+     * If the element has children, returns the derived value.
+     * Else, returns the inner text.
+     * @param {*} element 
+     * @param {*} scope 
+     * @param {boolean} inferType
+     * @returns The value of an element.
+     */
+    function getValue(element, scope) {
+        return element.childElementCount
+        ? getDerivedValue(element, scope)
+        : getInnerText(element)
+    }
+
+
+    /**
+     * Looks for the variable by name from the given scope and its enclosing scopes.
+     * Throws an error if the variable is undefined.
+     * @param {*} varName 
+     * @param {*} scope 
+     * @returns The Variable object.
+     */
+    function lookupVariable(varName, scope) {
+        for (let current = scope; current; current = current.parent) {
+            if (varName in current.local) return current.local[varName]
+        }
+        throw new Error("Undefined variable " + varName)
+    }
+
+
+    /**
+     * Looks for the variable by name from the given scope.
+     * Throws an error if the variable is undefined.
+     * @param {*} varName 
+     * @param {*} scope 
+     * @returns The value of the variable.
+     */
+    function getVariableValue(varName, scope) {
+        return lookupVariable(varName, scope).value
+    }
+
+
+    /**
+     * Updates the variable by name in the given scope.
+     * The variable must exist when calling this function.
+     * Throws an error if the variable is undefined.
+     * @param {*} varName 
+     * @param {*} value
+     * @param {*} scope 
+     * @returns The value of the variable.
+     */
+     function updateVariableValue(varName, value, scope) {
+        return assignVariable(lookupVariable(varName, scope), varName, value)
+    }
+
+
+    /**
+     * Assigns a value to a variable that is not a constant.
+     * Throws an error if the value doesn't have the declared type of the variable.
+     * @param {Variable} variable 
+     * @param {*} varName 
+     * @param {*} value 
+     * @returns The value.
+     */
+    function assignVariable(variable, varName, value) {
+        if (variable.constant) throw new Error(`Cannot assign to the constant ${varName}!`)
+        if (variable.declaredType) requireType(value, variable.declaredType, varName)
+        variable.value = value
+        return value
+    }
+
+
+    /**
+     * Sets the number of child elements that a tag accepts on its handler.
+     * Evaluating an element checks them with requireArity, and the static checker reports the elements that don't fit.
+     * @param {Array} arity [min, max, strict]. If strict is true, more children than max are an error, else they are ignored.
+     * @param {Function} handler 
+     * @returns The handler.
+     */
+    function arity([min, max, strict = false], handler) {
+        handler.arity = { min, max, strict }
+        return handler
+    }
+
+
+    /**
+     * Checks if an element has fewer child elements than its tag accepts, or more if the tag is strict about it.
+     * Tags without an arity accept any number.
+     * @param {*} element 
+     * @returns The error message, or null if the number is right.
+     */
+    function getArityError(element) {
+        const { min = 0, max = Infinity, strict = false } = TAGS[element.tagName]?.arity ?? {}
+        const count = element.childElementCount
+        if (count >= min && (count <= max || !strict)) return null
+        const expected = min === max && strict ? `exactly ${min}` : count < min ? `at least ${min}` : `at most ${max}`
+        return `${element.tagName} requires ${expected} child element(s)!`
+    }
+
+
+    /**
+     * Throws the error of getArityError, if there is one.
+     * @param {*} element 
+     */
+    function requireArity(element) {
+        const error = getArityError(element)
+        if (error) throw new Error(error)
+    }
+
+
+    /**
+     * Throws an error if the required amount of children is not met.
+     * @param {*} element 
+     * @param {*} count 
+     * @returns The number of children.
+     */
+    function requireChildrenCount(element, count = 1, exact = false) {
+        const error = exact && element.childElementCount !== count
+        ? `${element.tagName} requires exactly ${count} child element(s)!`
+        : element.childElementCount < count
+        ? `${element.tagName} requires at least ${count} child element(s)!`
+        : null
+        if (error) throw new Error(error)
+        return element.childElementCount
+    }
+
+
+    /**
+     * Sets a variable in the local scope.
+     */
+    function setLocalVariable(scope, varName, value, type = null) {
+        if (type) requireType(value, type, varName)
+        if (varName in scope.local) {
+            scope.local[varName].value = value
+            scope.local[varName].declaredType = type
+        }
+        else scope.local[varName] = new Variable(value, type)
+        return value
+    }
+
+
+    /**
+     * Declares a variable in the local scope, like DEF does.
+     * Throws an error if the scope already has a variable with the name.
+     * Enclosing scopes may have one: it's shadowed.
+     * @param {*} scope 
+     * @param {string} varName 
+     * @param {*} value 
+     * @param {*} type The declared type, or null.
+     * @param {boolean} constant True if the value can't be changed.
+     * @returns The value.
+     */
+    function declareVariable(scope, varName, value, type = null, constant = false) {
+        requireUndeclared(scope, varName)
+        if (type) requireType(value, type, varName)
+        scope.local[varName] = new Variable(value, type, constant)
+        return value
+    }
+
+
+    /**
+     * Throws an error if the local scope already has a variable with the name.
+     * @param {*} scope 
+     * @param {string} varName 
+     */
+    function requireUndeclared(scope, varName) {
+        if (varName in scope.local) throw new Error(`${varName} is already defined in this scope!`)
+    }
+
+
+    /**
+     * Declares the variable of a DEF, CONST or GLOBAL element.
+     * If the first child is a LIST or OBJ pattern, declares the variables it binds instead.
+     * A type attribute is the type of the whole value then.
+     * @param {*} element 
+     * @param {*} scope The scope of the element.
+     * @param {*} targetScope The scope to declare the variables in.
+     * @param {boolean} constant 
+     * @returns The value.
+     */
+    function declareFromElement(element, scope, targetScope, constant = false) {
+        const childScope = getChildScope(element, scope)
+        if (!isPattern(element.children[0])) {
+            const [varName, value] = getAllValues(element, childScope, 2)
+            return declareVariable(targetScope, varName, value, getDeclaredType(element), constant)
+        }
+        return declarePattern(element, handleElement(element.children[1], childScope), childScope, targetScope, constant)
+    }
+
+
+    /**
+     * Declares the variables of a DEF, CONST or GLOBAL element like declareFromElement,
+     * awaiting the AWAIT elements in the value.
+     * @returns A promise of the value.
+     */
+    async function declareFromElementAsync(element, scope, targetScope, constant = false) {
+        const childScope = makeScope(scope)
+        if (!isPattern(element.children[0])) {
+            const [varName, value] = await getAllValuesAsync(element, childScope, 2)
+            return declareVariable(targetScope, varName, value, getDeclaredType(element), constant)
+        }
+        return declarePattern(element, await handleElementAsync(element.children[1], childScope), childScope, targetScope, constant)
+    }
+
+
+    /**
+     * Destructures the value of a DEF, CONST or GLOBAL element with its pattern and declares the bound variables.
+     * Throws an error if the value doesn't match.
+     * @returns The value.
+     */
+    function declarePattern(element, value, scope, targetScope, constant) {
+        const type = getDeclaredType(element)
+        if (type) requireType(value, type, "the value")
+        const pattern = element.children[0]
+        const bindings = {}
+        if (!matchPattern(pattern, value, scope, bindings))
+            throw new Error(`The value of ${element.tagName} doesn't match the pattern ${printSexp(pattern)}: ${toText(value)}`)
+        for (const name in bindings) declareVariable(targetScope, name, bindings[name], null, constant)
+        return value
+    }
+
+
+    /**
+     * Checks if the name child of a DEF or a parameter is a destructuring pattern.
+     * @param {*} element 
+     * @returns A boolean.
+     */
+    function isPattern(element) {
+        return element?.tagName === "LIST" || element?.tagName === "OBJ"
+    }
+
+
+    /**
+     * Matches a value against a pattern element, and collects the variables that the pattern binds.
+     * - L binds the value to its name. The name _ matches any value without binding it, and a number matches itself.
+     * - LIST matches a list with a pattern per item. An L named like "...rest" at its end binds the remaining items.
+     * - OBJ matches an object that has the keys of its list: tuples of a key and a pattern for the value,
+     *   or L elements whose name is the key too.
+     * - Other elements are evaluated, and match a value that is EQ to theirs.
+     * @param {*} pattern The pattern element.
+     * @param {*} value 
+     * @param {*} scope The scope to evaluate the elements of the pattern in.
+     * @param {object} bindings Gets the values of the bound variables by name.
+     * @returns True if the value matches.
+     */
+    function matchPattern(pattern, value, scope, bindings) {
+        switch (pattern.tagName) {
+            case "L": {
+                const name = getInnerText(pattern)
+                if (typeof name === "number") return isEqual(name, value)
+                if (name.trim() !== "_") bindings[name.trim()] = value
+                return true
+            }
+            case "LIST": {
+                const items = Array.from(pattern.children)
+                const rest = getRestName(items.at(-1))
+                if (rest !== null) items.pop()
+                if (!Array.isArray(value) || (rest === null ? value.length !== items.length : value.length < items.length)) return false
+                if (!items.every((item, i) => matchPattern(item, value[i], scope, bindings))) return false
+                if (rest !== null && rest !== "_") bindings[rest] = value.slice(items.length)
+                return true
+            }
+            case "OBJ": {
+                const entries = pattern.children[0]
+                if (pattern.childElementCount !== 1 || entries.tagName !== "LIST")
+                    throw new Error("An OBJ pattern requires a list of tuples and names!")
+                if (getTypeName(value) !== "obj") return false
+                return Array.prototype.every.call(entries.children, entry => {
+                    if (entry.tagName === "L") {
+                        const key = String(getInnerText(entry)).trim()
+                        return Object.hasOwn(value, key) && matchPattern(entry, value[key], scope, bindings)
+                    }
+                    if (entry.tagName !== "TUPLE" || entry.childElementCount !== 2)
+                        throw new Error("An OBJ pattern requires a list of tuples and names!")
+                    const key = handleElement(entry.children[0], scope)
+                    return Object.hasOwn(value, key) && matchPattern(entry.children[1], value[key], scope, bindings)
+                })
+            }
+            default:
+                return isEqual(handleElement(pattern, scope), value)
+        }
+    }
+
+
+    /**
+     * Gets the name of a rest pattern, an L element like "...rest".
+     * @param {*} element 
+     * @returns The name without the dots, or null if the element is not a rest pattern.
+     */
+    function getRestName(element) {
+        if (element?.tagName !== "L") return null
+        const name = String(getInnerText(element)).trim()
+        return name.startsWith("...") ? name.slice(3) : null
+    }
+
+
+    /**
+     * Matches a value against a pattern and defines the variables it binds in the scope.
+     * @param {*} pattern 
+     * @param {*} value 
+     * @param {*} scope 
+     * @returns True if the value matches.
+     */
+    function bindPattern(pattern, value, scope) {
+        const bindings = {}
+        if (!matchPattern(pattern, value, scope, bindings)) return false
+        for (const name in bindings) setLocalVariable(scope, name, bindings[name])
+        return true
+    }
+
+
+    /**
+     * Gets the pattern, the optional guard and the body of a CASE clause of MATCH.
+     * @param {*} clause 
+     * @returns [pattern, guard, body], where the guard is null if there is none.
+     */
+    function getCaseParts(clause) {
+        if (clause.tagName !== "CASE") throw new Error("MATCH accepts only CASE clauses after the value!")
+        requireArity(clause)
+        const count = clause.childElementCount
+        const [pattern, ...rest] = clause.children
+        return count === 3 ? [pattern, ...rest] : [pattern, null, rest[0]]
+    }
+
+
+    /**
+     * Gets the parameters of a FUNC from its parameter list element.
+     * Parameters are names with an optional type annotation, see parseParameter.
+     * LIST and OBJ elements in a LIST of parameters are patterns that destructure the argument.
+     * @param {*} listElement 
+     * @param {*} scope 
+     * @returns A list of {name, type} and {pattern} objects.
+     */
+    function getParameters(listElement, scope) {
+        if (listElement.tagName !== "LIST" || !Array.prototype.some.call(listElement.children, isPattern))
+            return Array.from(handleElement(listElement, scope), parseParameter)
+        return Array.from(listElement.children, child => isPattern(child) ? { pattern: child } : parseParameter(handleElement(child, scope)))
+    }
+
+
+    /**
+     * Gets the type of the type attribute of a DEF, CONST or GLOBAL element.
+     * @param {*} element 
+     * @returns The parsed type, or null without the attribute.
+     */
+    function getDeclaredType(element) {
+        const { type } = getAttributes(element)
+        return type === undefined ? null : parseType(type)
+    }
+
+
+    /**
+     * Finds the top-level scope of the program or module that a scope is in.
+     * @param {*} scope 
+     * @returns The scope whose parent is GLOBALS.
+     */
+    function getTopLevelScope(scope) {
+        let current = scope
+        while (current.parent && current.parent !== GLOBALS) current = current.parent
+        return current
+    }
+
+
+    /**
+     * Finds the scope that a RETURN, BREAK or CONTINUE element exits.
+     * Loops are not looked up past the FUNC the element is in.
+     * @param {*} scope The scope of the element.
+     * @param {string} kind "RETURN", "BREAK" or "CONTINUE".
+     * @param {string} label Only loops with this label match, if given.
+     * @returns The target scope, or null if there is none.
+     */
+    function findControlTarget(scope, kind, label = null) {
+        for (let current = scope; current; current = current.parent) {
+            if (kind === "RETURN" && current.boundary === "FUNC") return current
+            if (kind !== "RETURN" && current.boundary === "LOOP" && (!label || current.label === label)) return current
+            if (current.boundary === "FUNC") break
+        }
+        return null
+    }
+
+
+    /**
+     * Evaluates the body of a loop like handleLoopBody, awaiting AWAIT elements in it.
+     * @param {*} element 
+     * @param {*} loopScope The scope created by the loop.
+     * @returns A promise of the value of the body, or of the BREAK or CONTINUE signal targeting the loop.
+     */
+    async function handleLoopBodyAsync(element, loopScope) {
+        try {
+            return await handleElementAsync(element, loopScope)
+        }
+        catch (signal) {
+            if (signal instanceof ControlSignal && signal.target === loopScope) return signal
+            throw signal
+        }
+    }
+
+
+    /**
+     * Gets the value of a RETURN signal that targets the given function scope.
+     * Rethrows anything else.
+     * @param {*} signal The thrown value.
+     * @param {*} functionScope The scope of the function call.
+     * @returns The returned value.
+     */
+    function getReturnValue(signal, functionScope) {
+        if (signal instanceof ControlSignal && signal.target === functionScope) return signal.value
+        throw signal
+    }
+
+
+    const TAIL_CALLS = new WeakSet()
+    const TAIL_CALLABLE = new WeakMap()
+
+    /**
+     * Marks the CALL elements in tail position of a function body: the body itself,
+     * the last child of a BLOCK in tail position and the branches of an IF in tail position.
+     * A marked CALL of a htm-lisp function returns a TailCall instead of calling it,
+     * and runTailCalls calls it after the calling function has returned.
+     * @param {*} element The body of a FUNC.
+     */
+    function markTailCalls(element) {
+        if (!element || TAIL_CALLS.has(element)) return
+        if (element.tagName === "CALL") TAIL_CALLS.add(element)
+        else if (element.tagName === "BLOCK") markTailCalls(element.children[element.childElementCount - 1])
+        else if (element.tagName === "IF") Array.from(element.children).slice(1).forEach(markTailCalls)
+        else if (element.tagName === "MATCH") {
+            for (const clause of Array.from(element.children).slice(1))
+                if (clause.tagName === "CASE") markTailCalls(clause.children[clause.childElementCount - 1])
+        }
+    }
+
+
+    /**
+     * Calls the functions of tail calls until a value is returned, in constant stack space.
+     * The last tail call replaces the frames of the earlier ones in the call stack.
+     * The value is checked against the return types of all the functions that made the tail calls.
+     * @param {*} value The value returned by a function, possibly a TailCall.
+     * @returns The value.
+     */
+    function runTailCalls(value) {
+        if (!(value instanceof TailCall)) return value
+        const { callStack } = value.context
+        const depth = callStack.length
+        const returnTypes = new Set()
+        try {
+            while (value instanceof TailCall) {
+                if (value.returnType) returnTypes.add(value.returnType)
+                checkTime(value.context)
+                callStack[depth] = value.frame
+                value = TAIL_CALLABLE.get(value.func)(value.args)
+            }
+            returnTypes.forEach(type => requireType(value, type, "the return value"))
+            return value
+        }
+        finally {
+            callStack.length = depth
+        }
+    }
+
+
+    /**
+     * Creates the function of a FUNC element, a closure over the scope the element is evaluated in.
+     * @param {*} element The FUNC element.
+     * @param {*} scope 
+     * @param {Function} evaluateBody Evaluates the body of a function that isn't async in the scope of a call.
+     * @returns The function.
+     */
+    function makeFunction(element, scope, evaluateBody) {
+        const parameters = getParameters(element.children[0], getChildScope(element, scope))
+        const operation = element.children[1]
+        const attributes = getAttributes(element)
+        const returnType = attributes.returns === undefined ? null : parseType(attributes.returns)
+        const definitionScope = makeScope(scope)
+        const bindArguments = args => {
+            const localScope = makeScope(definitionScope, "FUNC")
+            for (let i = 0; i < parameters.length; i++) {
+                const { name, type, pattern } = parameters[i]
+                if (!pattern) setLocalVariable(localScope, name, args[i], type)
+                else if (!bindPattern(pattern, args[i], localScope))
+                    throw new Error(`Argument ${i + 1} doesn't match the pattern ${printSexp(pattern)}: ${toText(args[i])}`)
+            }
+            return localScope
+        }
+        markTailCalls(operation)
+        if ("async" in attributes) {
+            return async function(...args) {
+                const localScope = bindArguments(args)
+                let result
+                try { result = runTailCalls(await handleElementAsync(operation, localScope)) }
+                catch (signal) { result = getReturnValue(signal, localScope) }
+                return returnType ? checkReturnValue(result, returnType) : result
+            }
+        }
+        const evaluate = args => {
+            const localScope = bindArguments(args)
+            try { return evaluateBody(localScope) }
+            catch (signal) { return getReturnValue(signal, localScope) }
+        }
+        const invoke = returnType ? args => checkReturnValue(evaluate(args), returnType) : evaluate
+        const func = function(...args) {
+            return runTailCalls(invoke(args))
+        }
+        TAIL_CALLABLE.set(func, invoke)
+        return func
+    }
+
+
+    /**
+     * Calls a function for a CALL element, or returns a TailCall if the element is in tail position.
+     * @param {*} func 
+     * @param {*} args The value of the argument list.
+     * @param {*} element The CALL element.
+     * @param {*} scope 
+     * @returns The value that the function returns.
+     */
+    function callFunction(func, args, element, scope) {
+        if (!Array.isArray(args)) throw new Error("The second argument to CALL must be a list!")
+        const { context } = scope
+        const frame = { name: getFunctionName(element.children[0]), element }
+        if (TAIL_CALLS.has(element) && TAIL_CALLABLE.has(func)) return new TailCall(func, args, frame, context)
+        if (context.callStack.length >= context.maxDepth)
+            throw new Error(`Maximum recursion depth of ${context.maxDepth} exceeded!`)
+        checkTime(context)
+        context.callStack.push(frame)
+        try { return func(...args) }
+        finally { context.callStack.pop() }
+    }
+
+
+    /**
+     * Checks if the variable of a FOR loop hasn't passed the stop value yet.
+     * Loops with a negative step count down to it.
+     * @param {*} i 
+     * @param {*} stop 
+     * @param {*} step 
+     * @returns A boolean.
+     */
+    function isInRange(i, stop, step) {
+        return step > 0 ? i <= stop : i >= stop
+    }
+
+
+    /**
+     * Throws an error if a loop has run more iterations than the context allows,
+     * or if the evaluation has taken longer than allowed.
+     * @param {number} iteration The number of the current iteration.
+     * @param {*} scope 
+     * @param {boolean} timed False for loops that wait for AWAIT and so don't block.
+     */
+    function checkIteration(iteration, scope, timed = true) {
+        const { maxIterations } = scope.context
+        if (iteration > maxIterations)
+            throw new Error(`The loop exceeded the maximum of ${maxIterations} iterations!`)
+        if (timed) checkTime(scope.context)
+    }
+
+
+    /**
+     * Throws an error if the current synchronous evaluation has taken longer than the context allows.
+     * @param {*} context 
+     */
+    function checkTime(context) {
+        if (Date.now() - context.busySince > context.maxTime)
+            throw new Error(`The evaluation exceeded the time limit of ${context.maxTime} ms!`)
+    }
+
+
+    /**
+     * Runs the iterations of a FOR loop, from start to stop.
+     * @param {*} element The FOR element.
+     * @param {*} scope 
+     * @param {Array} header The values of the children before the body: [varName, start, stop, step?].
+     * @param {Function} evaluateBody Evaluates the body in the scope of an iteration.
+     * @returns A list of the values of the body, or null with the discard attribute.
+     */
+    function runForLoop(element, scope, [varName, start, stop, step = 1], evaluateBody) {
+        if (!step) throw new Error("The step of FOR can't be 0!")
+        const attributes = getAttributes(element)
+        const result = "discard" in attributes ? null : []
+        let iteration = 0
+        for (let i = start; isInRange(i, stop, step); i += step) {
+            checkIteration(++iteration, scope)
+            const localScope = makeScope(scope, "LOOP", attributes.label)
+            setLocalVariable(localScope, varName, i)
+            const value = handleLoopBody(evaluateBody, localScope)
+            if (value instanceof ControlSignal) {
+                if (value.kind === "BREAK") break
+            }
+            else result?.push(value)
+            i = localScope.local[varName].value
+        }
+        return result
+    }
+
+
+    /**
+     * Runs the iterations of a WHILE loop, as long as the condition is truthy.
+     * @param {*} element The WHILE element.
+     * @param {*} scope 
+     * @param {Function} evaluateCondition Evaluates the condition in the scope of an iteration.
+     * @param {Function} evaluateBody Evaluates the body in the scope of an iteration.
+     * @returns A list of the values of the body, or null with the discard attribute.
+     */
+    function runWhileLoop(element, scope, evaluateCondition, evaluateBody) {
+        const attributes = getAttributes(element)
+        const result = "discard" in attributes ? null : []
+        let iteration = 0
+        while (true) {
+            const localScope = makeScope(scope, "LOOP", attributes.label)
+            if (!evaluateCondition(localScope)) break
+            checkIteration(++iteration, scope)
+            const value = handleLoopBody(evaluateBody, localScope)
+            if (value instanceof ControlSignal) {
+                if (value.kind === "BREAK") break
+            }
+            else result?.push(value)
+        }
+        return result
+    }
+
+
+    /**
+     * Runs the iterations of a FOR-EACH loop, one per item.
+     * @param {*} element The FOR-EACH element.
+     * @param {*} scope 
+     * @param {Array} header The values of the children before the body: [iterable, varName, indexName?].
+     * @param {Function} evaluateBody Evaluates the body in the scope of an iteration.
+     * @returns A list of the values of the body, or null with the discard attribute.
+     */
+    function runForEachLoop(element, scope, [iterable, varName, indexName], evaluateBody) {
+        const attributes = getAttributes(element)
+        const result = "discard" in attributes ? null : []
+        const items = getItems(iterable, element)
+        for (let i = 0; i < items.length; i++) {
+            checkIteration(i + 1, scope)
+            const localScope = makeScope(scope, "LOOP", attributes.label)
+            setLocalVariable(localScope, varName, items[i])
+            if (indexName !== undefined) setLocalVariable(localScope, indexName, i)
+            const value = handleLoopBody(evaluateBody, localScope)
+            if (value instanceof ControlSignal) {
+                if (value.kind === "BREAK") break
+            }
+            else result?.push(value)
+        }
+        return result
+    }
+
+
+    /**
+     * Evaluates the body of a loop in the scope of one iteration.
+     * @param {Function} evaluateBody Evaluates the body in a scope.
+     * @param {*} loopScope The scope created by the loop.
+     * @returns The value of the body, or the BREAK or CONTINUE signal targeting the loop.
+     */
+    function handleLoopBody(evaluateBody, loopScope) {
+        try {
+            return evaluateBody(loopScope)
+        }
+        catch (signal) {
+            if (signal instanceof ControlSignal && signal.target === loopScope) return signal
+            throw signal
+        }
+    }
+
+
+    const COMPILED = new WeakMap()
+    const CHILD_SCOPES = new WeakMap()
+
+    /**
+     * The tags defined by the interpreter itself. Tags added with registerTag are not in it.
+     */
+    const BUILTIN_TAGS = new Set(Object.keys(TAGS))
+
+    /**
+     * The built-in tags that define variables in the scope they are evaluated in.
+     */
+    const BINDING_TAGS = new Set(["DEF", "CONST", "IMPORT"])
+
+    /**
+     * The tags whose value only depends on the inner text when they have no children.
+     */
+    const CONSTANT_TAGS = new Set(["L", "INT", "FLOAT", "BIGINT", "DECIMAL", "STR", "BOOL", "TRUE", "FALSE", "NOOP"])
+
+    /**
+     * The static scope of an element that is compiled on its own, see compileElement.
+     * Nothing is known about the variables of its scope, so they are looked up by name.
+     */
+    const OPEN_SCOPE = { names: null, parent: null }
+
+    /**
+     * Compiles an element to a function that takes the scope and returns the value of the element.
+     * The tags in COMPILED_TAGS compile their children along with them and call the compiled children directly,
+     * and resolve variables to the scope that declares them, see compileLookup.
+     * Other elements are evaluated by the handler of their tag, which evaluates the children with handleElement,
+     * so the children are compiled on their own when they are evaluated.
+     * Constants are evaluated here. An element with a wrong number of children throws the error when it's evaluated.
+     * Elements are not compiled again, so changing an element after it was evaluated has no effect.
+     * @param {*} element 
+     * @param {*} staticScope What is known about the variables of the scope the element is evaluated in,
+     * see makeStaticScope. OPEN_SCOPE for an element that is compiled on its own.
+     * @returns The function. It wraps errors in a HtmLispError for the element like handleElement does.
+     */
+    function compileElement(element, staticScope) {
+        const handler = TAGS[element.tagName]
+        // Macro calls and tags that are registered later are looked up when the element is evaluated.
+        if (!handler) return scope => handleElement(element, scope)
+        let evaluate = null
+        if (getArityError(element)) evaluate = () => requireArity(element)
+        else if (CONSTANT_TAGS.has(element.tagName) && !element.childElementCount) {
+            try {
+                const value = handler(element, GLOBALS)
+                evaluate = () => value
+            }
+            // The error is thrown again when the element is evaluated.
+            catch { }
+        }
+        else if (element.tagName in COMPILED_TAGS) evaluate = COMPILED_TAGS[element.tagName](element, staticScope)
+        evaluate ??= scope => handler(element, scope)
+        return scope => {
+            try {
+                return evaluate(scope)
+            }
+            catch (error) {
+                throw toHtmLispError(error, element, scope)
+            }
+        }
+    }
+
+
+    /**
+     * Compiles a list of elements that are evaluated in the same scope.
+     * @param {*[]} elements 
+     * @param {*} staticScope 
+     * @returns A list of functions, see compileElement.
+     */
+    function compileElements(elements, staticScope) {
+        return Array.from(elements, element => compileElement(element, staticScope))
+    }
+
+
+    /**
+     * Makes the static scope of a scope that a compiled element makes: the names of the variables it will have.
+     * Those are the given names, e.g. the parameters of a function, and the names that the DEF and CONST elements
+     * evaluated in the scope declare. If a name is computed, or an IMPORT, a macro call or a custom tag
+     * is evaluated in the scope, the names are unknown and the scope is open.
+     * @param {*} parent The static scope of the enclosing scope.
+     * @param {*[]} elements The elements that are evaluated in the scope.
+     * @param {Array} names The names of the variables that the element defines itself, with null for a computed name.
+     * @returns {names, parent}, where names is a Set, or null for an open scope.
+     */
+    function makeStaticScope(parent, elements, names = []) {
+        const declared = [...names]
+        for (const element of elements) {
+            if (element.tagName === "DEF" || element.tagName === "CONST") declared.push(...getLiteralTargetNames(element.children[0]))
+            else if (BINDING_TAGS.has(element.tagName) || !BUILTIN_TAGS.has(element.tagName)) declared.push(null)
+        }
+        return { names: declared.includes(null) ? null : new Set(declared), parent }
+    }
+
+
+    /**
+     * Gets the static scope of the children of an element, like getChildScope gets their scope.
+     * @param {*} element 
+     * @param {*} staticScope The static scope of the element.
+     * @param {*[]} children The children that are evaluated in the scope.
+     * @returns A static scope.
+     */
+    function getStaticChildScope(element, staticScope, children = element.children) {
+        return hasBindingChild(element) ? makeStaticScope(staticScope, children) : staticScope
+    }
+
+
+    /**
+     * Gets the name that an L element without children evaluates to, as the key of the variable.
+     * @param {*} element 
+     * @returns The name, or null if the element is not such an L element.
+     */
+    function getLiteralName(element) {
+        return element?.tagName === "L" && !element.childElementCount ? String(getInnerText(element)) : null
+    }
+
+
+    /**
+     * Gets the names that a variable name or pattern of a DEF, CONST or FUNC parameter binds.
+     * A pattern that evaluates an element that can define variables counts as a computed name,
+     * as the element is evaluated in the scope that the pattern binds in.
+     * @param {*} element 
+     * @param {boolean} parameter True if the element is in the parameter list of a FUNC, which can have a type annotation.
+     * @returns A list of names, with null for a computed name.
+     */
+    function getLiteralTargetNames(element, parameter = false) {
+        if (isPattern(element)) return containsBindingElement(element) ? [null] : getPatternNames(element)
+        const name = getLiteralName(element)
+        return [parameter && name !== null ? String(parseParameter(name).name) : name]
+    }
+
+
+    /**
+     * Checks if an element contains elements that can define variables in the scope they are evaluated in.
+     * @param {*} element 
+     * @returns A boolean.
+     */
+    function containsBindingElement(element) {
+        return Array.prototype.some.call(element.children,
+            x => BINDING_TAGS.has(x.tagName) || !BUILTIN_TAGS.has(x.tagName) || containsBindingElement(x))
+    }
+
+
+    /**
+     * Compiles looking up a variable by its name. The static scopes tell how many scopes up the variable is declared,
+     * so the function goes up to that scope directly. Names that aren't declared in any of the static scopes
+     * up to an open one are looked up by name from the scope that the open one stands for.
+     * A variable that a later element declares may not be defined yet: it's looked up in the enclosing scopes then.
+     * @param {string} varName 
+     * @param {*} staticScope The static scope of the element that looks the variable up.
+     * @returns A function that takes the scope and returns the Variable object.
+     */
+    function compileLookup(varName, staticScope) {
+        let depth = 0
+        let current = staticScope
+        while (current.names?.has(varName) === false) {
+            current = current.parent
+            depth++
+        }
+        if (!current.names) return scope => lookupVariable(varName, getEnclosingScope(scope, depth))
+        return scope => {
+            const target = getEnclosingScope(scope, depth)
+            return varName in target.local ? target.local[varName] : lookupVariable(varName, target.parent)
+        }
+    }
+
+
+    /**
+     * Goes up a number of scopes.
+     * @param {*} scope 
+     * @param {number} depth 
+     * @returns The enclosing scope.
+     */
+    function getEnclosingScope(scope, depth) {
+        for (let i = 0; i < depth; i++) scope = scope.parent
+        return scope
+    }
+
+
+    /**
+     * Compiles a DEF or CONST element with a literal name.
+     * @param {*} element 
+     * @param {*} staticScope 
+     * @param {boolean} constant 
+     * @returns The function, or null for a pattern or a computed name, which the handler declares.
+     */
+    function compileDeclaration(element, staticScope, constant) {
+        const varName = getLiteralName(element.children[0])
+        if (varName === null) return null
+        const binds = hasBindingChild(element)
+        const value = compileElement(element.children[1], getStaticChildScope(element, staticScope))
+        const type = getAttributes(element).type
+        return scope => {
+            const result = value(binds ? makeScope(scope) : scope)
+            return declareVariable(scope, varName, result, type === undefined ? null : parseType(type), constant)
+        }
+    }
+
+
+    /**
+     * Compiles an INC or DEC element with a literal name.
+     * @param {*} element 
+     * @param {*} staticScope 
+     * @param {string} tag "ADD" or "SUB".
+     * @returns The function, or null for a computed name.
+     */
+    function compileIncrement(element, staticScope, tag) {
+        const varName = getLiteralName(element.children[0])
+        if (varName === null) return null
+        const binds = hasBindingChild(element)
+        const amount = compileElement(element.children[1], getStaticChildScope(element, staticScope))
+        const lookup = compileLookup(varName, staticScope)
+        return scope => {
+            const by = amount(binds ? makeScope(scope) : scope)
+            const variable = lookup(scope)
+            const currentValue = requireNumeric(variable.value, element)
+            return assignVariable(variable, varName, calculate(tag, currentValue, requireNumeric(by, element)))
+        }
+    }
+
+
+    /**
+     * Compiles an element that evaluates all its children in the same scope and combines their values.
+     * @param {*} element 
+     * @param {*} staticScope 
+     * @param {Function} combine Gets the list of values and returns the value of the element.
+     * @param {Function} combineTwo Gets two values, for the common case of two children.
+     * @returns The function.
+     */
+    function compileCombination(element, staticScope, combine, combineTwo = null) {
+        const binds = hasBindingChild(element)
+        const children = compileElements(element.children, getStaticChildScope(element, staticScope))
+        if (combineTwo && children.length === 2) {
+            const [first, second] = children
+            return scope => {
+                const childScope = binds ? makeScope(scope) : scope
+                return combineTwo(first(childScope), second(childScope))
+            }
+        }
+        return scope => {
+            const childScope = binds ? makeScope(scope) : scope
+            return combine(children.map(child => child(childScope)))
+        }
+    }
+
+
+    /**
+     * Compiles an arithmetic element like ADD, which combines the values of its children with calculate.
+     * @param {*} element 
+     * @param {*} staticScope 
+     * @returns The function.
+     */
+    function compileCalculation(element, staticScope) {
+        const tag = element.tagName
+        const apply = (x, y) => calculate(tag, x, y)
+        return compileCombination(element, staticScope, values => values.reduce(apply), apply)
+    }
+
+
+    /**
+     * Compiles a comparison like EQ, which is true if the first child compares true with every other child.
+     * @param {*} element 
+     * @param {*} staticScope 
+     * @param {Function} compare (x, y) => boolean.
+     * @returns The function.
+     */
+    function compileComparison(element, staticScope, compare) {
+        return compileCombination(element, staticScope, values => values.slice(1).every(x => compare(values[0], x)), compare)
+    }
+
+
+    /**
+     * Compiles an element whose children are evaluated in a scope of their own each, if any of them binds, like IF and CALL.
+     * @param {*} element 
+     * @param {*} staticScope 
+     * @param {number} count The number of children that the element evaluates.
+     * @returns [binds, functions], where binds is true if each child needs a new scope.
+     */
+    function compileSeparateChildren(element, staticScope, count) {
+        const binds = hasBindingChild(element)
+        const children = Array.from(element.children).slice(0, count)
+        return [binds, children.map(child => compileElement(child, binds ? makeStaticScope(staticScope, [child]) : staticScope))]
+    }
+
+
+    /**
+     * Evaluates a compiled element like handleElement, e.g. the body of a compiled FUNC when it's called.
+     * With a debugger, the element is evaluated by its handler instead, so that the debugger can stop at every element.
+     * @param {Function} evaluate The compiled element.
+     * @param {*} element 
+     * @param {*} scope 
+     * @returns The value of the element.
+     */
+    function runCompiled(evaluate, element, scope) {
+        const { context } = scope
+        if (context.debugger) return debugElement(element, scope)
+        if (context.busy++ === 0) context.busySince = Date.now()
+        try {
+            return evaluate(scope)
+        }
+        finally {
+            context.busy--
+        }
+    }
+
+
+    /**
+     * Checks if an element has a child that can define a variable in the scope it is evaluated in:
+     * a DEF, an IMPORT, a macro call or a custom tag.
+     * @param {*} element 
+     * @returns A boolean.
+     */
+    function hasBindingChild(element) {
+        let binds = CHILD_SCOPES.get(element)
+        if (binds === undefined) {
+            binds = Array.prototype.some.call(element.children, x => BINDING_TAGS.has(x.tagName) || !BUILTIN_TAGS.has(x.tagName))
+            CHILD_SCOPES.set(element, binds)
+        }
+        return binds
+    }
+
+
+    /**
+     * Gets the scope to evaluate the children of an element in.
+     * A new scope is only made if a child can define a variable in it, see hasBindingChild.
+     * Otherwise the children share the scope of the element, which saves making a scope for every evaluated element.
+     * @param {*} element 
+     * @param {*} scope The scope of the element.
+     * @returns The scope of its children.
+     */
+    function getChildScope(element, scope) {
+        return hasBindingChild(element) ? makeScope(scope) : scope
+    }
+
+
+    /**
+     * Gets the items to iterate: the items of a list, the characters of a string
+     * or the entries of an object as [key, value] tuples.
+     * @param {*} iterable 
+     * @param {*} element The element that iterates.
+     * @returns A list.
+     */
+    function getItems(iterable, element) {
+        if (Array.isArray(iterable)) return iterable
+        if (typeof iterable === "string") return Array.from(iterable)
+        if (typeof iterable === "object" && iterable !== null && !isNumeric(iterable))
+            return typeof iterable[Symbol.iterator] === "function" ? Array.from(iterable) : Object.entries(iterable)
+        throw new Error(`${element.tagName} requires a list, a string or an object, got ${iterable === null ? "null" : typeof iterable}`)
+    }
+
+
+    /**
+     * Gets the item of a list or the character of a string at an index, for IDX.
+     * @param {*} iterable 
+     * @param {*} index 
+     * @returns The item or the character.
+     */
+    function getAtIndex(iterable, index) {
+        if (Array.isArray(iterable)) {
+            if (index in iterable) return iterable[index]
+            throw new Error(`Index out of bounds: ${index}`)
+        }
+        if (typeof iterable === "string") {
+            if (index < iterable.length) return iterable.charAt(index)
+            throw new Error(`Index out of bounds: ${index}`)
+        }
+        const type = getTypeName(iterable)
+        throw new Error(`IDX can only be used with lists and strings, got ${type}${type === "obj" ? ". Use KEY for objects" : ""}`)
+    }
+
+
+    /**
+     * Throws an error if the value is not a list.
+     * @param {*} value 
+     * @param {*} element The element that requires it.
+     * @returns The list.
+     */
+    function requireList(value, element) {
+        if (!Array.isArray(value)) throw new Error(`${element.tagName} requires a list, got ${value === null ? "null" : typeof value}`)
+        return value
+    }
+
+
+    /**
+     * Throws an error if the value is not an object. Lists are not objects here.
+     * @param {*} value 
+     * @param {*} element The element that requires it.
+     * @returns The object.
+     */
+    function requireObject(value, element) {
+        if (typeof value !== "object" || value === null || Array.isArray(value) || isNumeric(value))
+            throw new Error(`${element.tagName} requires an object, got ${value === null ? "null" : Array.isArray(value) ? "list" : typeof value}`)
+        return value
+    }
+
+
+    /**
+     * Evaluates the operation of a MAP-like element for every item, in a scope where varName is the item.
+     * @param {*[]} items 
+     * @param {string} varName 
+     * @param {*} operation The element to evaluate.
+     * @param {*} scope The scope of the MAP-like element.
+     * @param {Function} until Stops after the first value it returns true for, if given.
+     * @returns The list of values.
+     */
+    function evaluateForItems(items, varName, operation, scope, until = null) {
+        const values = []
+        for (const x of items) {
+            checkIteration(values.length + 1, scope)
+            const localScope = makeScope(scope)
+            setLocalVariable(localScope, varName, x)
+            const value = handleElement(operation, localScope)
+            values.push(value)
+            if (until?.(value)) break
+        }
+        return values
+    }
+
+
+    /**
+     * Evaluates the operation for every item like evaluateForItems, awaiting the AWAIT elements in it.
+     * @returns A promise of the list of values.
+     */
+    async function evaluateForItemsAsync(items, varName, operation, scope, until = null) {
+        const values = []
+        for (const x of items) {
+            checkIteration(values.length + 1, scope, false)
+            const localScope = makeScope(scope)
+            setLocalVariable(localScope, varName, x)
+            const value = await handleElementAsync(operation, localScope)
+            values.push(value)
+            if (until?.(value)) break
+        }
+        return values
+    }
+
+
+    /**
+     * Groups items by their keys.
+     * @param {*[]} items 
+     * @param {*[]} keys The key of every item.
+     * @returns An object of keys and lists of items.
+     */
+    function groupItems(items, keys) {
+        const result = {}
+        items.forEach((x, i) => (result[keys[i]] ??= []).push(x))
+        return result
+    }
+
+
+    /**
+     * Compares two values for sorting: numbers, bigints and decimals by value, other values with < and >.
+     * @param {*} x 
+     * @param {*} y 
+     * @returns A negative number, 0 or a positive number.
+     */
+    function compareValues(x, y) {
+        const [a, b] = getComparable(x, y)
+        return a < b ? -1 : a > b ? 1 : 0
+    }
+
+
+    /**
+     * Produces the value of the element.
+     * The element is compiled the first time it's evaluated, see compileElement.
+     * Throws an error if the tag is undefined.
+     * @param {*} element 
+     * @param {*} scope 
+     * @returns 
+     */
+    function handleElement(element, scope) {
+        const awaited = scope.awaited ?? scope.parent?.awaited
+        if (awaited?.has(element)) return awaited.get(element)
+        if (scope.context.debugger) return debugElement(element, scope)
+        let evaluate = COMPILED.get(element)
+        if (!evaluate) {
+            if (!(element.tagName in TAGS)) return handleMacroCall(element, scope)
+            evaluate = compileElement(element, OPEN_SCOPE)
+            COMPILED.set(element, evaluate)
+        }
+        return runCompiled(evaluate, element, scope)
+    }
+
+
+    /**
+     * Evaluates an element with the handler of its tag, for the debugger.
+     * The debugger is told about every evaluated element, so nothing is compiled.
+     * @param {*} element 
+     * @param {*} scope 
+     * @returns The value of the element.
+     */
+    function debugElement(element, scope) {
+        const handler = TAGS[element.tagName]
+        if (!handler) return handleMacroCall(element, scope)
+        const { context } = scope
+        const debug = context.debugger
+        if (context.busy++ === 0) context.busySince = Date.now()
+        try {
+            debug.enter(element, scope)
+            requireArity(element)
+            return handler(element, scope)
+        }
+        catch (error) {
+            throw toHtmLispError(error, element, scope)
+        }
+        finally {
+            context.busy--
+            debug.leave()
+        }
+    }
+
+
+    /**
+     * Evaluates the expansion of a macro call.
+     * Throws an error if the element is not a macro call, as its tag is undefined then.
+     * @param {*} element 
+     * @param {*} scope 
+     * @returns The value of the expansion.
+     */
+    function handleMacroCall(element, scope) {
+        const expansion = expandMacro(element, scope)
+        if (expansion) return handleElement(expansion, scope)
+        throw new HtmLispError("Undefined tag: " + element.tagName, element, scope)
+    }
+
+
+    /**
+     * Produces the value of the element, awaiting the AWAIT elements in it.
+     * Elements without an AWAIT are evaluated synchronously by handleElement.
+     * Tags in ASYNC_TAGS have their own async implementation.
+     * For other tags, the children are evaluated and awaited in order first,
+     * and the tag then gets their values instead of evaluating them again.
+     * @param {*} element 
+     * @param {*} scope 
+     * @returns A promise of the value of the element.
+     */
+    async function handleElementAsync(element, scope) {
+        const expansion = !(element.tagName in TAGS) && expandMacro(element, scope)
+        if (expansion) return handleElementAsync(expansion, scope)
+        if (!containsAwait(element) || !(element.tagName in TAGS)) return handleElement(element, scope)
+        const debug = scope.context.debugger
+        try {
+            debug?.enter(element, scope)
+            requireArity(element)
+            if (element.tagName in ASYNC_TAGS)
+                return await ASYNC_TAGS[element.tagName](element, scope)
+            const childScope = makeScope(scope)
+            const awaited = new Map()
+            for (const child of element.children)
+                awaited.set(child, await handleElementAsync(child, childScope))
+            scope.awaited = awaited
+            try { return TAGS[element.tagName](element, scope) }
+            finally { delete scope.awaited }
+        }
+        catch (error) {
+            throw toHtmLispError(error, element, scope)
+        }
+        finally {
+            debug?.leave()
+        }
+    }
+
+
+    /**
+     * Evaluates child elements like getAllValues, awaiting the AWAIT elements in them.
+     * @param {*} element 
+     * @param {*} scope 
+     * @returns A promise of a list of values.
+     */
+    async function getAllValuesAsync(element, scope, limit = 0) {
+        const result = []
+        for (const child of element.children) {
+            result.push(await handleElementAsync(child, scope))
+            if (limit && result.length === limit) break
+        }
+        return result
+    }
+
+
+    const AWAIT_CACHE = new WeakMap()
+
+    /**
+     * The tags that wait for something in async mode.
+     */
+    const AWAIT_TAGS = new Set(["AWAIT", "IMPORT"])
+
+    /**
+     * The tags whose children are not evaluated in the current function.
+     */
+    const OPAQUE_TAGS = new Set(["FUNC", "DEFMACRO", "QUOTE"])
+
+    /**
+     * Checks if an element is or contains an AWAIT or an IMPORT that belongs to the current function.
+     * The bodies of nested FUNC elements, macros and quoted elements are not searched.
+     * @param {*} element 
+     * @returns A boolean.
+     */
+    function containsAwait(element) {
+        if (AWAIT_CACHE.has(element)) return AWAIT_CACHE.get(element)
+        const result = AWAIT_TAGS.has(element.tagName)
+        || !OPAQUE_TAGS.has(element.tagName) && Array.prototype.some.call(element.children, containsAwait)
+        AWAIT_CACHE.set(element, result)
+        return result
+    }
+
+
+    /**
+     * The messages of the errors that JavaScript engines throw when they run out of stack space.
+     */
+    const STACK_OVERFLOW_MESSAGES = ["Maximum call stack size exceeded", "too much recursion"]
+
+    /**
+     * The number of calls that an error for running out of stack space is passed up as it is,
+     * to leave stack space for making the HtmLispError.
+     */
+    const STACK_OVERFLOW_MARGIN = 10
+
+    /**
+     * Wraps anything thrown while evaluating an element in a HtmLispError.
+     * Errors that already are HtmLispErrors and control signals are returned as they are.
+     * Running out of stack space is reported like exceeding max-depth, with the depth it happened at.
+     * @param {*} error The thrown value.
+     * @param {*} element The element being evaluated.
+     * @param {*} scope 
+     * @returns The value to throw.
+     */
+    function toHtmLispError(error, element, scope) {
+        if (error instanceof HtmLispError || error instanceof ControlSignal) return error
+        if (error instanceof Error && STACK_OVERFLOW_MESSAGES.some(x => error.message.startsWith(x))) {
+            const depth = scope.context.callStack.length
+            error.depth ??= depth
+            if (depth > Math.max(error.depth - STACK_OVERFLOW_MARGIN, 0)) return error
+            return new HtmLispError(`Maximum recursion depth exceeded: the stack ran out after ${error.depth} nested calls!`, element, scope, error)
+        }
+        return new HtmLispError(error?.message ?? String(error), element, scope, error)
+    }
+
+
+    /**
+     * Replaces the UNQUOTE elements in a copied QUOTE template with their values.
+     * Nested QUOTE elements are left as they are.
+     * @param {*} template The copy of the quoted element.
+     * @param {*} scope The scope of the QUOTE element.
+     */
+    function replaceUnquotes(template, scope) {
+        for (const child of Array.from(template.children)) {
+            if (child.tagName === "QUOTE") continue
+            if (child.tagName !== "UNQUOTE") {
+                replaceUnquotes(child, scope)
+                continue
+            }
+            const values = toElements(getValue(child, makeScope(scope)), child)
+            for (const value of values) template.insertBefore(value, child)
+            template.removeChild(child)
+        }
+    }
+
+
+    /**
+     * Converts an unquoted value to elements. Elements are copied, lists are converted item by item,
+     * booleans become TRUE or FALSE, null becomes NOOP and strings and numbers become L elements.
+     * @param {*} value 
+     * @param {*} element The UNQUOTE element, whose document creates the new elements.
+     * @returns A list of elements.
+     */
+    function toElements(value, element) {
+        if (Array.isArray(value)) return value.flatMap(x => toElements(x, element))
+        if (isElement(value)) return [value.cloneNode(true)]
+        const document = element.ownerDocument
+        if (value === null || value === undefined) return [document.createElement("noop")]
+        if (typeof value === "boolean") return [document.createElement(value ? "true" : "false")]
+        if (typeof value === "string" || typeof value === "number") {
+            const literal = document.createElement("l")
+            literal.textContent = String(value)
+            return [literal]
+        }
+        throw new Error(`UNQUOTE can't convert ${typeof value} to an element!`)
+    }
+
+
+    /**
+     * Checks if a value is an element, e.g. a quoted element or a macro argument.
+     * @param {*} value 
+     * @returns A boolean.
+     */
+    function isElement(value) {
+        return typeof value === "object" && value !== null && typeof value.tagName === "string" && "children" in value
+    }
+
+
+    const MACRO_EXPANSIONS = new WeakMap()
+
+    /**
+     * Expands a macro call. Each call element is expanded once per macro definition.
+     * @param {*} element The macro call.
+     * @param {*} scope 
+     * @returns The element to evaluate instead, or null if the element is not a macro call.
+     */
+    function expandMacro(element, scope) {
+        const macro = scope.context.macros.get(element.tagName)
+        if (!macro) return null
+        const cached = MACRO_EXPANSIONS.get(element)
+        if (cached?.macro === macro) return cached.expansion
+        let expansion
+        try {
+            expansion = macro(Array.from(element.children))
+            if (Array.isArray(expansion) && expansion.every(isElement)) {
+                const block = element.ownerDocument.createElement("block")
+                for (const child of expansion) block.appendChild(child.cloneNode(true))
+                expansion = block
+            }
+            if (!isElement(expansion))
+                throw new Error(`The macro ${element.tagName} must return an element, got ${typeof expansion}`)
+        }
+        catch (error) {
+            throw toHtmLispError(error, element, scope)
+        }
+        MACRO_EXPANSIONS.set(element, { macro, expansion })
+        return expansion
+    }
+
+
+    /**
+     * Converts a value to text for output. Elements are converted to HTML, lists and objects to JSON.
+     * JSON has no bigints or decimals, so they are written as strings in it.
+     * @param {*} value 
+     * @returns A string.
+     */
+    function toText(value) {
+        if (isElement(value)) return serializeElement(value)
+        if (value instanceof Decimal) return value.toString()
+        return typeof value === "object" && value !== null
+        ? JSON.stringify(value, (key, x) => isElement(x) ? serializeElement(x) : typeof x === "bigint" ? String(x) : x)
+        : String(value)
+    }
+
+
+    /**
+     * Gets the text of a string argument. Numbers, bigints, decimals and booleans are converted to text.
+     * Throws an error for other values, e.g. null or lists.
+     * @param {*} value 
+     * @param {*} element The element that requires it.
+     * @returns A string.
+     */
+    function requireText(value, element) {
+        if (typeof value === "string") return value
+        if (isNumeric(value) || typeof value === "boolean") return String(value)
+        throw new Error(`${element.tagName} requires a string, got ${value === null ? "null" : Array.isArray(value) ? "list" : typeof value}`)
+    }
+
+
+    /**
+     * Fills in the placeholders of a FORMAT template.
+     * @param {string} template 
+     * @param {*[]} values The values for positional placeholders, e.g. {0}.
+     * @param {*} scope The scope to look up variables in.
+     * @returns A string.
+     */
+    function formatTemplate(template, values, scope) {
+        return template.replace(/\{\{|\}\}|\{([^{}]*)\}/g, (placeholder, path) => {
+            if (path === undefined) return placeholder[0]
+            const [name, ...keys] = path.trim().split(".")
+            if (/^\d+$/.test(name) && !(name in values)) throw new Error(`There is no value for ${placeholder}`)
+            let value = /^\d+$/.test(name) ? values[name] : getVariableValue(name, scope)
+            for (const key of keys) {
+                if (value === null || value === undefined || !(key in Object(value)))
+                    throw new Error(`Undefined key ${key} in ${placeholder}`)
+                value = value[key]
+            }
+            return toText(value)
+        })
+    }
+
+
+    /**
+     * Creates a regular expression from a pattern and the flags attribute of an element.
+     * @param {string} pattern 
+     * @param {*} element 
+     * @param {string} requiredFlags Flags that are added if missing.
+     * @returns A RegExp.
+     */
+    function getRegExp(pattern, element, requiredFlags = "") {
+        const { flags = "" } = getAttributes(element)
+        const missingFlags = Array.from(requiredFlags).filter(x => !flags.includes(x)).join("")
+        return new RegExp(requireText(pattern, element), flags + missingFlags)
+    }
+
+
+    /**
+     * Converts an element and its children to HTML. Elements without children keep their inner HTML.
+     * @param {*} element 
+     * @returns A string.
+     */
+    function serializeElement(element) {
+        const tagName = element.tagName.toLowerCase()
+        const attributes = Array.from(element.attributes, x => ` ${x.name}="${x.value.replace(/"/g, "&quot;")}"`).join("")
+        const content = element.childElementCount
+        ? Array.from(element.children, serializeElement).join("")
+        : element.innerHTML
+        return `<${tagName}${attributes}>${content}</${tagName}>`
+    }
+
+
+    /**
+     * Gets the document of the page, for the DOM tags.
+     * Throws an error if there is no DOM, e.g. when running headless.
+     * @param {*} scope 
+     * @returns The document.
+     */
+    function getDocument(scope) {
+        const { document } = scope.context
+        if (!document) throw new Error("The DOM is not available!")
+        return document
+    }
+
+
+    /**
+     * Gets the selector and the optional parent element of QUERY and QUERY-ALL.
+     * @param {*} element 
+     * @param {*} scope 
+     * @returns A list of the selector and the parent.
+     */
+    function getSelectorArguments(element, scope) {
+        const [selector, parent] = element.childElementCount
+        ? getAllValues(element, makeScope(scope), 2)
+        : [getInnerText(element)]
+        if (parent !== undefined) requireNode(parent, element)
+        return [selector, parent]
+    }
+
+
+    /**
+     * Checks if a value is a DOM node.
+     * @param {*} value 
+     * @returns A boolean.
+     */
+    function isNode(value) {
+        return typeof value === "object" && value !== null && typeof value.nodeType === "number"
+    }
+
+
+    /**
+     * Throws an error if a value is not a DOM element.
+     * @param {*} value 
+     * @param {*} element The element that requires it.
+     */
+    function requireNode(value, element) {
+        if (!isNode(value) || value.nodeType !== 1)
+            throw new Error(`${element.tagName} requires an element, got ${value === null ? "null" : typeof value}`)
+    }
+
+
+    /**
+     * Throws an error if setting the attribute could run code, i.e. event handlers and javascript: URLs.
+     * @param {string} name The attribute name.
+     * @param {string} value The attribute value.
+     * @returns The value.
+     */
+    function requireSafeAttribute(name, value) {
+        if (!/^[a-z_:][a-z0-9_:.-]*$/i.test(name))
+            throw new Error(`Invalid attribute name: ${name}`)
+        if (/^on/i.test(name) || name.toLowerCase() === "srcdoc")
+            throw new Error(`The attribute ${name} is not allowed!`)
+        if (URL_ATTRIBUTES.has(name.toLowerCase()) && /^\s*(javascript|vbscript):/i.test(value.replace(/[\u0000-\u001f]/g, "")))
+            throw new Error(`The URL of the attribute ${name} is not allowed: ${value}`)
+        return value
+    }
+
+
+    const URL_ATTRIBUTES = new Set(["href", "src", "action", "formaction", "xlink:href", "poster", "data"])
+
+
+    /**
+     * The event handlers added with ON, by DOM node.
+     */
+    const LISTENERS = new WeakMap()
+
+
+    /**
+     * Gets the DOM elements of the target of ON and OFF.
+     * @param {*} target An element, a list of elements or a selector.
+     * @param {*} element The ON or OFF element.
+     * @param {*} scope 
+     * @returns A list of elements.
+     */
+    function getEventTargets(target, element, scope) {
+        const nodes = typeof target === "string"
+        ? Array.from(getDocument(scope).querySelectorAll(target))
+        : Array.isArray(target) ? target : [target]
+        for (const node of nodes) requireNode(node, element)
+        return nodes
+    }
+
+
+    /**
+     * Converts a DOM event into a htm-lisp object.
+     * The submit event of a form also has the form's fields in data.
+     * @param {Event} event 
+     * @returns An object.
+     */
+    function getEventObject(event) {
+        const { target } = event
+        const result = {
+            type: event.type,
+            target,
+            currentTarget: event.currentTarget,
+            value: target?.value ?? null,
+            checked: target?.checked ?? null,
+        }
+        for (const key of ["key", "code", "button", "clientX", "clientY", "altKey", "ctrlKey", "metaKey", "shiftKey"])
+            if (key in event) result[key] = event[key]
+        if (event.type === "submit" && typeof FormData !== "undefined")
+            result.data = Object.fromEntries(new FormData(target))
+        return result
+    }
+
+
+    /**
+     * Calls an event handler added with ON.
+     * Errors, including the rejections of async handlers, are reported like errors of top-level elements.
+     * @param {Function} handler 
+     * @param {Event} event 
+     * @param {*} element The ON element.
+     * @param {*} scope The scope of the ON element.
+     */
+    function callEventHandler(handler, event, element, scope) {
+        const { callStack, error: report } = scope.context
+        callStack.push({ name: `${event.type} handler`, element })
+        try {
+            const result = handler(getEventObject(event))
+            if (typeof result?.then === "function")
+                result.then(null, error => report(toHtmLispError(error, element, scope)))
+        }
+        catch (error) {
+            report(toHtmLispError(error, element, scope))
+        }
+        finally {
+            callStack.pop()
+        }
+    }
+
+
+    /**
+     * Splits a TRY element into its body and its optional clauses.
+     * Throws an error if the clauses are invalid.
+     * @param {*} element The TRY element.
+     * @returns An object with bodyOp, catchClause and finallyClause.
+     */
+    function getTryClauses(element) {
+        const [bodyOp, ...clauses] = element.children
+        const catchClause = clauses.find(x => x.tagName === "CATCH")
+        const finallyClause = clauses.find(x => x.tagName === "FINALLY")
+        if (clauses.some(x => x !== catchClause && x !== finallyClause))
+            throw new Error("TRY accepts only one CATCH and one FINALLY clause after its body!")
+        if (catchClause) requireArity(catchClause)
+        return { bodyOp, catchClause, finallyClause }
+    }
+
+
+    /**
+     * Makes the scope of a CATCH clause, with the error bound to the clause's variable name.
+     * @param {*} catchClause The CATCH element.
+     * @param {*} scope The scope of the TRY element.
+     * @param {HtmLispError} error 
+     * @returns The scope for the handler elements.
+     */
+    function bindCaughtError(catchClause, scope, error) {
+        const localScope = makeScope(scope)
+        const varName = handleElement(catchClause.children[0], makeScope(localScope))
+        setLocalVariable(localScope, varName, getErrorObject(error))
+        return localScope
+    }
+
+
+    /**
+     * Converts an error into a htm-lisp object that a CATCH clause binds.
+     * @param {HtmLispError} error 
+     * @returns An object.
+     */
+    function getErrorObject(error) {
+        const { message, value, tag, path, location } = error
+        return { message, value, tag, path, location }
+    }
+
+
+    /**
+     * Gives a name to the function a CALL element calls, for stack traces.
+     * @param {*} element The first child of the CALL element.
+     * @returns The variable name of the function or "anonymous".
+     */
+    function getFunctionName(element) {
+        return element.tagName === "VAR" && !element.childElementCount
+        ? String(getInnerText(element)).trim()
+        : element.tagName === "VAR" && element.children[0].tagName === "L"
+        ? String(getInnerText(element.children[0])).trim()
+        : "anonymous"
+    }
+
+
+    /**
+     * Describes the position of an element by the chain of its enclosing tags, up to the htm-lisp root.
+     * Siblings are told apart by their position, e.g. "htm-lisp > def:nth-child(2) > int".
+     * @param {*} element 
+     * @returns A CSS selector like string.
+     */
+    function getElementPath(element) {
+        const parts = []
+        for (let current = element; current && current.tagName !== "#DOCUMENT"; current = current.parentElement) {
+            const tagName = current.tagName.toLowerCase()
+            const parent = current.parentElement
+            if (parent && parent.children.length > 1 && tagName !== "htm-lisp") {
+                const index = Array.prototype.indexOf.call(parent.children, current)
+                parts.unshift(`${tagName}:nth-child(${index + 1})`)
+            }
+            else {
+                parts.unshift(tagName)
+            }
+            if (tagName === "htm-lisp") break
+        }
+        return parts.join(" > ")
+    }
+
+
+    /**
+     * Gets the file, the line and the column of an element, if its source is known.
+     * Only elements produced by the headless parser know their source location.
+     * @param {*} element 
+     * @returns An object with file, line and column, or null.
+     */
+    function getSourceLocation(element) {
+        const location = element.sourceLocation
+        return location
+        ? { file: element.ownerDocument?.url ?? null, line: location.line, column: location.column }
+        : null
+    }
+
+
+    /**
+     * Gets a short piece of source that shows where an element is.
+     * If the source location is known, returns the source line with a marker under the element.
+     * Else, returns the first line of the element's HTML.
+     * @param {*} element 
+     * @returns A string.
+     */
+    function getSnippet(element) {
+        const source = element.ownerDocument?.source
+        const location = element.sourceLocation
+        if (source && location) {
+            const line = source.split("\n")[location.line - 1].replace(/\r$/, "")
+            const gutter = String(location.line)
+            return `${gutter} | ${line}\n${" ".repeat(gutter.length)} | ${" ".repeat(location.column - 1)}^`
         }
+        const html = element.outerHTML ?? ""
+        const firstLine = html.split("\n")[0]
+        return firstLine.length > 80 ? firstLine.slice(0, 77) + "..." : firstLine
+    }
+
+
+    /**
+     * Formats a source location for messages.
+     * @param {*} location 
+     * @returns A string like " (main.html, line 1, column 2)" or an empty string.
+     */
+    function formatLocation(location) {
+        if (!location) return ""
+        const file = location.file ? `${location.file}, ` : ""
+        return ` (${file}line ${location.line}, column ${location.column})`
+    }
+
+
+    //
+    //  NUMBERS
+    //
+
+    const ARITHMETIC = {
+        "ADD": (x, y) => x + y,
+        "SUB": (x, y) => x - y,
+        "MUL": (x, y) => x * y,
+        "DIV": (x, y) => x / y,
+        "MOD": (x, y) => x % y,
+        "POW": (x, y) => x ** y,
+        "IDIV": (x, y) => {
+            if (typeof x === "bigint") return x / y
+            if (y === 0) throw new Error("Division by zero!")
+            return Math.trunc(x / y)
+        },
+    }
+
+    const DECIMAL_ARITHMETIC = {
+        "ADD": "add", "SUB": "sub", "MUL": "mul", "DIV": "div", "MOD": "mod", "POW": "pow", "IDIV": "idiv",
+    }
+
+
+    /**
+     * Checks if a value is a number, a bigint or a decimal.
+     * @param {*} value 
+     * @returns A boolean.
+     */
+    function isNumeric(value) {
+        return typeof value === "number" || typeof value === "bigint" || value instanceof Decimal
+    }
+
+
+    /**
+     * Checks if a value can be converted to a decimal without losing it: NaN and infinities can't.
+     * @param {*} value 
+     * @returns A boolean.
+     */
+    function isFiniteNumeric(value) {
+        return isNumeric(value) && (typeof value !== "number" || Number.isFinite(value))
+    }
+
+
+    /**
+     * Applies an arithmetic operation to two values.
+     * If one of them is a decimal, both are converted to decimals and the result is exact.
+     * Integers mixed with bigints are converted to bigints. Other values use the JS operators,
+     * so ADD also joins strings.
+     * Throws an error if the result is NaN.
+     * @param {string} tag The tag of the operation, e.g. "ADD".
+     * @param {*} x 
+     * @param {*} y 
+     * @returns The result.
+     */
+    function calculate(tag, x, y) {
+        if ((x instanceof Decimal || y instanceof Decimal) && isFiniteNumeric(x) && isFiniteNumeric(y))
+            return Decimal.from(x)[DECIMAL_ARITHMETIC[tag]](Decimal.from(y))
+        if (typeof x === "bigint" && typeof y === "number") y = toBigInt(y)
+        else if (typeof x === "number" && typeof y === "bigint") x = toBigInt(x)
+        const result = ARITHMETIC[tag](x, y)
+        if (Number.isNaN(result)) throw new Error(`The result of ${tag} is not a number!`)
         return result
     }
 
 
     /**
-     * Gets the attribute names and values of an element.
-     * @param {*} element The element.
-     * @returns An object of attribute names and values.
+     * Converts an integer to a bigint. Throws an error for other numbers.
+     * @param {number} value 
+     * @returns A bigint.
+     */
+    function toBigInt(value) {
+        if (!Number.isInteger(value)) throw new Error(`Cannot mix a bigint with ${value}!`)
+        return BigInt(value)
+    }
+
+
+    /**
+     * Throws an error if a number is NaN.
+     * @param {number} value 
+     * @param {*} element The element that produced it.
+     * @returns The number.
+     */
+    function requireNumber(value, element) {
+        if (Number.isNaN(value)) throw new Error(`The result of ${element.tagName} is not a number!`)
+        return value
+    }
+
+
+    /**
+     * Throws an error if the value is not a number, a bigint or a decimal.
+     * @param {*} value 
+     * @param {*} element The element that requires it.
+     * @returns The value.
+     */
+    function requireNumeric(value, element) {
+        if (!isNumeric(value)) throw new Error(`${element.tagName} requires a number, got ${getTypeName(value)}`)
+        return value
+    }
+
+
+    /**
+     * Converts a value to one of the numeric types.
+     * Numbers, bigints and decimals are cast, and integer types truncate the fraction.
+     * Text must be a literal of the type.
+     * @param {*} value 
+     * @param {string} type "INT", "FLOAT", "BIGINT" or "DECIMAL".
+     * @returns A number, a bigint or a Decimal.
+     */
+    function toNumericType(value, type) {
+        if (typeof value === "string") return parseNumber(value, type)
+        if (!isNumeric(value) || Number.isNaN(value))
+            throw new Error(`Cannot convert ${toText(value)} to ${type.toLowerCase()}!`)
+        if (type === "FLOAT") return value instanceof Decimal ? value.toNumber() : Number(value)
+        if (!isFiniteNumeric(value)) throw new Error(`Cannot convert ${value} to ${type.toLowerCase()}!`)
+        if (type === "DECIMAL") return Decimal.from(value)
+        const integer = value instanceof Decimal ? value.round(0, "trunc").units
+        : typeof value === "number" ? Math.trunc(value)
+        : value
+        return type === "BIGINT" ? BigInt(integer) : Number(integer)
+    }
+
+
+    /**
+     * Parses a literal of a numeric type. Whitespace is ignored, so digits can be grouped.
+     * Throws an error if the text is not a valid literal.
+     * @param {string} text 
+     * @param {string} type "INT", "FLOAT", "BIGINT" or "DECIMAL".
+     * @returns A number, a bigint or a Decimal.
+     */
+    function parseNumber(text, type) {
+        const literal = text.replace(/\s/g, "")
+        if (literal !== "") {
+            if (type === "INT" && Number.isInteger(Number(literal))) return Number(literal)
+            if (type === "FLOAT" && !Number.isNaN(Number(literal))) return Number(literal)
+            try {
+                if (type === "BIGINT") return BigInt(literal)
+                if (type === "DECIMAL") return Decimal.from(literal)
+            }
+            catch { }
+        }
+        throw new Error(`Invalid ${type.toLowerCase()} literal: ${text}`)
+    }
+
+
+    /**
+     * Gets the values to compare two values with the JS comparison operators.
+     * Decimals are compared exactly with numbers and bigints: the result is the sign of x - y and 0.
+     * @param {*} x 
+     * @param {*} y 
+     * @returns A list of two values.
+     */
+    function getComparable(x, y) {
+        if (!(x instanceof Decimal || y instanceof Decimal)) return [x, y]
+        if (isFiniteNumeric(x) && isFiniteNumeric(y)) return [Decimal.from(x).compare(Decimal.from(y)), 0]
+        return [x instanceof Decimal ? x.toNumber() : x, y instanceof Decimal ? y.toNumber() : y]
+    }
+
+
+    /**
+     * Checks if two values are equal. Numbers, bigints and decimals are equal if their values are.
+     * Other values must be identical.
+     * @param {*} x 
+     * @param {*} y 
+     * @returns A boolean.
+     */
+    function isEqual(x, y) {
+        if (x === y) return true
+        if (!isNumeric(x) || !isNumeric(y)) return false
+        const [a, b] = getComparable(x, y)
+        return a == b
+    }
+
+
+    /**
+     * Finds the value that beats every other, e.g. the smallest.
+     * A single list is searched instead.
+     * @param {*[]} values 
+     * @param {Function} beats (x, y) => boolean, applied to comparable values.
+     * @returns The value.
+     */
+    function getExtreme(values, beats) {
+        const candidates = values.length === 1 && Array.isArray(values[0]) ? values[0] : values
+        if (!candidates.length) throw new Error("Cannot find the extreme of an empty list!")
+        return candidates.reduce((result, value) => {
+            const [x, y] = getComparable(value, result)
+            return beats(x, y) ? value : result
+        })
+    }
+
+
+    /**
+     * Creates a random number generator that always returns the same sequence for the same seed.
+     * @param {*} seed A number or a text.
+     * @returns A function that returns a float from 0 up to 1.
+     */
+    function createRandom(seed) {
+        // The seed is hashed to 32 bits, and the numbers are generated by mulberry32.
+        let state = 0
+        for (const char of String(seed)) state = Math.imul(state ^ char.codePointAt(0), 2654435761)
+        return () => {
+            state = state + 0x6D2B79F5 | 0
+            let t = Math.imul(state ^ state >>> 15, 1 | state)
+            t = t + Math.imul(t ^ t >>> 7, 61 | t) ^ t
+            return ((t ^ t >>> 14) >>> 0) / 4294967296
+        }
+    }
+
+
+    //
+    //  TYPES
+    //
+
+
+    const TYPE_NAMES = new Set(["any", "int", "float", "bigint", "decimal", "str", "bool", "null", "list", "obj", "func"])
+    const TYPE_TOKENS = /[^\s(),:|]+|[(),:|]/g
+    const PARSED_TYPES = new Map()
+
+    /**
+     * Parses a type annotation, e.g. "int", "list-of(str)", "obj-with(name: str, age: int)" or "int | null".
+     * Every text is parsed once.
+     * @param {string} text 
+     * @returns The type: {name}, {name: "list-of", item}, {name: "obj-with", shape} or {name: "union", options}.
+     * Its text is the annotation.
+     */
+    function parseType(text) {
+        text = String(text).trim()
+        if (PARSED_TYPES.has(text)) return PARSED_TYPES.get(text)
+        const tokens = text.match(TYPE_TOKENS) ?? []
+        let index = 0
+        const fail = reason => { throw new Error(`Invalid type "${text}": ${reason}`) }
+        const expect = token => {
+            if (tokens[index] !== token) fail(`expected "${token}" but found ${tokens[index] ? `"${tokens[index]}"` : "the end"}`)
+            index++
+        }
+
+        const readUnion = () => {
+            const options = [readType()]
+            while (tokens[index] === "|") {
+                index++
+                options.push(readType())
+            }
+            return options.length === 1 ? options[0] : { name: "union", options }
+        }
+        const readType = () => {
+            const name = tokens[index++]
+            if (name === "list-of") {
+                expect("(")
+                const item = readUnion()
+                expect(")")
+                return { name, item }
+            }
+            if (name === "obj-with") {
+                expect("(")
+                const shape = {}
+                while (true) {
+                    const key = tokens[index++]
+                    if (!key || "(),:|".includes(key)) fail("expected a key")
+                    expect(":")
+                    shape[key] = readUnion()
+                    if (tokens[index] !== ",") break
+                    index++
+                }
+                expect(")")
+                return { name, shape }
+            }
+            if (!TYPE_NAMES.has(name)) fail(name ? `unknown type ${name}` : "expected a type")
+            return { name }
+        }
+
+        const type = readUnion()
+        if (index < tokens.length) fail(`unexpected "${tokens[index]}"`)
+        type.text = text
+        PARSED_TYPES.set(text, type)
+        return type
+    }
+
+
+    /**
+     * Splits a parameter into its name and its type annotation, e.g. "n: int".
+     * @param {*} parameter 
+     * @returns {name, type}, where the type is null without an annotation.
+     */
+    function parseParameter(parameter) {
+        const colon = typeof parameter === "string" ? parameter.indexOf(":") : -1
+        if (colon === -1) return { name: parameter, type: null }
+        return { name: parameter.slice(0, colon).trim(), type: parseType(parameter.slice(colon + 1)) }
+    }
+
+
+    /**
+     * Gets the type of a value, as it's written in type annotations.
+     * @param {*} value 
+     * @returns "int", "float", "bigint", "decimal", "str", "bool", "null", "list", "obj" or "func".
+     */
+    function getTypeName(value) {
+        if (value === null || value === undefined) return "null"
+        if (typeof value === "number") return Number.isInteger(value) ? "int" : "float"
+        if (value instanceof Decimal) return "decimal"
+        if (Array.isArray(value)) return "list"
+        return { string: "str", boolean: "bool", function: "func", object: "obj" }[typeof value] ?? typeof value
+    }
+
+
+    /**
+     * Finds the part of a value that doesn't match a type, e.g. an item of a list.
+     * A float type accepts integers too.
+     * @param {*} value 
+     * @param {*} type A parsed type.
+     * @param {string} path How the value is reached, e.g. "xs[2]".
+     * @returns {path, value} of the mismatching part, or null if the value matches.
+     */
+    function findTypeMismatch(value, type, path) {
+        const mismatch = { path, value }
+        switch (type.name) {
+            case "any":
+                return null
+            case "float":
+                return typeof value === "number" ? null : mismatch
+            case "union":
+                return type.options.some(option => !findTypeMismatch(value, option, path)) ? null : mismatch
+            case "list-of": {
+                if (!Array.isArray(value)) return mismatch
+                for (let i = 0; i < value.length; i++) {
+                    const itemMismatch = findTypeMismatch(value[i], type.item, `${path}[${i}]`)
+                    if (itemMismatch) return itemMismatch
+                }
+                return null
+            }
+            case "obj-with": {
+                if (getTypeName(value) !== "obj") return mismatch
+                for (const [key, keyType] of Object.entries(type.shape)) {
+                    const keyMismatch = findTypeMismatch(value[key], keyType, `${path}.${key}`)
+                    if (keyMismatch) return keyMismatch
+                }
+                return null
+            }
+            default:
+                return getTypeName(value) === type.name ? null : mismatch
+        }
+    }
+
+
+    /**
+     * Throws an error if the value doesn't match the type.
+     * @param {*} value 
+     * @param {*} type A parsed type.
+     * @param {string} name What has the type, e.g. a variable name.
+     * @returns The value.
+     */
+    function requireType(value, type, name) {
+        const mismatch = findTypeMismatch(value, type, name)
+        if (!mismatch) return value
+        const actual = getTypeName(mismatch.value)
+        throw new Error(mismatch.path === name
+        ? `Type mismatch: ${name} must be ${type.text}, got ${actual}`
+        : `Type mismatch: ${name} must be ${type.text}, but ${mismatch.path} is ${actual}`)
+    }
+
+
+    /**
+     * Throws an error if the value returned by a function doesn't match its return type.
+     * The value of a tail call is only known after it's run, so the type is checked by runTailCalls.
+     * @param {*} value 
+     * @param {*} type A parsed type.
+     * @returns The value.
+     */
+    function checkReturnValue(value, type) {
+        if (value instanceof TailCall) value.returnType = type
+        else requireType(value, type, "the return value")
+        return value
+    }
+
+
+    //
+    //  S-EXPRESSIONS
+    //
+
+    const SEXP_TAG_NAME = /[^\s()"\[\];]+/y
+    const SEXP_ATOM = /[^\s()";]+/y
+    const SEXP_ATTRIBUTE_NAME = /[^\s()"\[\];=,]+/y
+    const SEXP_ATTRIBUTE_VALUE = /[^\s()"\[\];,]+/y
+    const SEXP_ESCAPES = { "n": "\n", "t": "\t", "r": "\r", "\"": "\"", "\\": "\\" }
+
+    /**
+     * The tags whose value is their inner text, which a single atom or string argument becomes.
+     */
+    const SEXP_TEXT_TAGS = new Set([...CONSTANT_TAGS, "VAR"])
+
+    /**
+     * Reads the s-expression form of a program into the element tree of its html form.
+     * "(tag[name=value] arguments...)" becomes an element with the given attributes.
+     * A single atom or string argument of a literal tag like INT or VAR becomes the inner text of the element,
+     * e.g. "(int 1)" is <int>1</int>. Other atoms and strings become L elements,
+     * e.g. "(def x (int 1))" is <def><l>x</l><int>1</int></def> and "(list x)" is <list><l>x</l></list>.
+     * Comments start with ";" and end at the end of the line.
+     * @param {string} source 
+     * @param {*} document The document that creates the elements.
+     * @param {*} start The line and column of the source in its file, if known.
+     * Elements then get a source location, for error messages.
+     * @returns A htm-lisp element that contains the top-level forms.
+     */
+    function readSexp(source, document, start = null) {
+        const program = document.createElement("htm-lisp")
+        let index = 0
+        let line = start?.line ?? 1
+        let column = start?.column ?? 1
+
+        const locate = () => start ? { line, column } : null
+        const fail = message => { throw new SyntaxError(`${message} at line ${line}, column ${column}`) }
+        const advance = count => {
+            for (const end = index + count; index < end; index++) {
+                if (source[index] === "\n") {
+                    line++
+                    column = 1
+                }
+                else {
+                    column++
+                }
+            }
+        }
+        const match = pattern => {
+            pattern.lastIndex = index
+            const result = pattern.exec(source)
+            if (!result) return null
+            advance(result[0].length)
+            return result[0]
+        }
+        const skipSpace = (separators = /\s/) => {
+            while (index < source.length) {
+                if (separators.test(source[index])) advance(1)
+                else if (source[index] === ";") while (index < source.length && source[index] !== "\n") advance(1)
+                else break
+            }
+        }
+
+        const readString = () => {
+            let text = ""
+            advance(1)
+            while (source[index] !== "\"") {
+                if (index >= source.length) fail("Unterminated string")
+                if (source[index] === "\\") {
+                    advance(1)
+                    if (!(source[index] in SEXP_ESCAPES)) fail(`Unknown escape "\\${source[index] ?? ""}"`)
+                    text += SEXP_ESCAPES[source[index]]
+                }
+                else {
+                    text += source[index]
+                }
+                advance(1)
+            }
+            advance(1)
+            return text
+        }
+
+        const readAttributes = element => {
+            advance(1)
+            while (true) {
+                skipSpace(/[\s,]/)
+                if (source[index] === "]") break
+                const name = match(SEXP_ATTRIBUTE_NAME)
+                if (!name) fail(index < source.length ? `Unexpected "${source[index]}" in attributes` : "Unclosed [")
+                let value = ""
+                if (source[index] === "=") {
+                    advance(1)
+                    value = source[index] === "\"" ? readString() : match(SEXP_ATTRIBUTE_VALUE)
+                    if (value === null) fail(`Missing value of attribute "${name}"`)
+                }
+                element.setAttribute(name, value)
+            }
+            advance(1)
+        }
+
+        const readList = () => {
+            const location = locate()
+            advance(1)
+            const tagName = match(SEXP_TAG_NAME)
+            if (!tagName) fail("Expected a tag name")
+            const element = document.createElement(tagName)
+            if (location) element.sourceLocation = location
+            if (source[index] === "[") readAttributes(element)
+
+            const args = []
+            while (true) {
+                skipSpace()
+                if (index >= source.length) fail(`Unclosed (${tagName}`)
+                if (source[index] === ")") break
+                if (source[index] === "(") {
+                    args.push(readList())
+                    continue
+                }
+                const location = locate()
+                const text = source[index] === "\"" ? readString() : match(SEXP_ATOM)
+                args.push({ text, location })
+            }
+            advance(1)
+
+            if (args.length === 1 && !isElement(args[0]) && SEXP_TEXT_TAGS.has(element.tagName)) {
+                element.textContent = args[0].text
+                return element
+            }
+            for (const arg of args) {
+                if (isElement(arg)) {
+                    element.appendChild(arg)
+                    continue
+                }
+                const literal = document.createElement("l")
+                literal.textContent = arg.text
+                if (arg.location) literal.sourceLocation = arg.location
+                element.appendChild(literal)
+            }
+            return element
+        }
+
+        while (true) {
+            skipSpace()
+            if (index >= source.length) break
+            if (source[index] !== "(") fail(`Expected "(" but found "${source[index]}"`)
+            program.appendChild(readList())
+        }
+        return program
+    }
+
+
+    /**
+     * Prints an element tree in the s-expression form that readSexp reads back.
+     * Short forms are printed on one line, longer ones with a child form per line.
+     * @param {*} element 
+     * @param {string} indent The indentation of the line the form starts on.
+     * @returns A string.
+     */
+    function printSexp(element, indent = "") {
+        const attributes = Array.from(element.attributes, x => x.value === "" ? x.name : `${x.name}=${printSexpAtom(x.value)}`)
+        const head = element.tagName.toLowerCase() + (attributes.length ? `[${attributes.join(" ")}]` : "")
+        if (!element.childElementCount) {
+            const text = element.textContent.trim()
+            return text === "" ? `(${head})` : `(${head} ${printSexpAtom(text)})`
+        }
+        const childIndent = indent + "    "
+        const atomsAreChildren = element.childElementCount > 1 || !SEXP_TEXT_TAGS.has(element.tagName)
+        const args = Array.from(element.children, child =>
+            atomsAreChildren && child.tagName === "L" && !child.childElementCount && !child.attributes.length
+            ? printSexpAtom(child.textContent.trim())
+            : printSexp(child, childIndent)
+        )
+        const oneLine = `(${head} ${args.join(" ")})`
+        if (indent.length + oneLine.length <= 80 && !oneLine.includes("\n")) return oneLine
+        const atomCount = args.findIndex(x => x.startsWith("("))
+        if (atomCount === -1) return oneLine
+        const inline = args.slice(0, atomCount)
+        const lines = args.slice(inline.length).map(x => childIndent + x)
+        return `(${[head, ...inline].join(" ")}\n${lines.join("\n")})`
+    }
+
+
+    /**
+     * Prints a text as an atom, or as a string if it could not be read back as an atom.
+     * @param {string} text 
+     * @returns A string.
+     */
+    function printSexpAtom(text) {
+        return /^[^\s()";]+$/.test(text)
+        ? text
+        : `"${text.replace(/[\\"\n\t\r]/g, x => "\\" + ({ "\n": "n", "\t": "t", "\r": "r" }[x] ?? x))}"`
+    }
+
+
+    const PROGRAMS = new WeakMap()
+
+    /**
+     * Gets the element tree of a htm-lisp root.
+     * A root with type="sexp" is written in the s-expression form, which is read once.
+     * @param {*} root 
+     * @returns The root itself or the read program.
+     */
+    function getProgram(root) {
+        if (root.getAttribute("type") !== "sexp") return root
+        if (!PROGRAMS.has(root))
+            PROGRAMS.set(root, readSexp(root.textContent, root.ownerDocument, root.contentLocation))
+        return PROGRAMS.get(root)
+    }
+
+
+    //
+    //  STATIC CHECKS
+    //
+
+    const JUMP_TAGS = new Set(["RETURN", "BREAK", "CONTINUE", "THROW"])
+
+    /**
+     * Checks htm-lisp roots without evaluating them.
+     * Reports unknown tags, wrong numbers of child elements, L elements with children,
+     * variables that are not defined in any enclosing scope, and misplaced or unreachable control flow.
+     * Variables count as defined anywhere in their scope, since functions may use variables defined after them.
+     * Roots with the same env attribute share their top-level variables, like when they are evaluated.
+     * @param {*} roots A htm-lisp root or a list of roots.
+     * @param {object} options async: true if the roots are evaluated in async mode, like by the headless runner.
+     * @returns A list of diagnostics, objects with severity ("error" or "warning"), code, message, tag, path and location.
+     * They are in the order of their locations in the source.
+     */
+    function check(roots, { async = false } = {}) {
+        const diagnostics = []
+        const programs = []
+        for (const root of isElement(roots) ? [roots] : Array.from(roots)) {
+            try { programs.push({ root, program: getProgram(root) }) }
+            catch (error) { addDiagnostic(diagnostics, root, "error", "syntax", error.message) }
+        }
+
+        const macros = new Set()
+        for (const { program } of programs)
+            for (const element of program.getElementsByTagName("defmacro")) {
+                const name = getStaticName(element.children[0])
+                if (name !== null) macros.add(String(name).toUpperCase())
+            }
+
+        const globalScope = { names: new Set(Object.keys(GLOBALS.local)), constants: new Set(), open: false, parent: null }
+        const envScopes = new Map()
+        const rootScopes = programs.map(({ root, program }) => {
+            const rootScope = makeCheckScope(globalScope, program)
+            for (const element of program.getElementsByTagName("global")) {
+                for (const name of getDeclaredNames(element)) {
+                    if (name === null) rootScope.open = true
+                    else rootScope.names.add(name)
+                }
+            }
+            const env = root.getAttribute("env")
+            if (!env) return rootScope
+            if (!envScopes.has(env))
+                envScopes.set(env, { names: new Set(Object.keys(ENVIRONMENTS.get(env) ?? {})), constants: new Set(), open: false, parent: globalScope })
+            const envScope = envScopes.get(env)
+            rootScope.names.forEach(name => envScope.names.add(name))
+            rootScope.constants.forEach(name => envScope.constants.add(name))
+            envScope.open ||= rootScope.open
+            return envScope
+        })
+        programs.forEach(({ root, program }, i) => {
+            const state = { diagnostics, macros, loops: [], inFunc: false, async: async || root.hasAttribute("async") }
+            checkRedeclarations(program, diagnostics)
+            checkChildren(program, rootScopes[i], state)
+        })
+        return diagnostics.sort(compareDiagnostics)
+    }
+
+
+    /**
+     * Compares diagnostics by their locations in the source.
+     * Diagnostics without a location come last, in the order they were found.
+     * @param {object} a 
+     * @param {object} b 
+     * @returns A negative number if a comes first, a positive number if b does, else 0.
+     */
+    function compareDiagnostics(a, b) {
+        if (!a.location || !b.location) return !a.location - !b.location
+        return a.location.line - b.location.line || a.location.column - b.location.column
+    }
+
+
+    /**
+     * Adds a diagnostic about an element to the list.
+     */
+    function addDiagnostic(diagnostics, element, severity, code, message) {
+        diagnostics.push({
+            severity,
+            code,
+            message,
+            tag: element.tagName,
+            path: getElementPath(element),
+            location: getSourceLocation(element),
+        })
+    }
+
+
+    /**
+     * Gets a variable name that is known without evaluating the element,
+     * i.e. the text of an L or STR element or the inner text of an element without children.
+     * @param {*} element 
+     * @returns The name, or null if it is computed.
+     */
+    function getStaticName(element) {
+        if (!element) return null
+        if (!element.childElementCount) return String(getInnerText(element)).trim()
+        if (element.childElementCount === 1 && ["L", "STR"].includes(element.children[0].tagName))
+            return getStaticName(element.children[0])
+        return null
+    }
+
+
+    /**
+     * Makes the static scope of the children of an element.
+     * It has the variables that DEF, CONST and IMPORT children define.
+     * It is open, i.e. every variable counts as defined, if a variable name is computed.
+     * @param {*} parent The enclosing static scope.
+     * @param {*} element 
+     * @param {Array} names Other names to define, e.g. parameters.
+     * @returns A static scope.
+     */
+    function makeCheckScope(parent, element, names = []) {
+        const scope = { names: new Set(names), constants: new Set(), open: names.includes(null), parent }
+        for (const child of element.children) {
+            if (child.tagName === "DEF" || child.tagName === "CONST") {
+                for (const name of getDeclaredNames(child)) {
+                    if (name === null) scope.open = true
+                    else scope.names.add(name)
+                    if (child.tagName === "CONST") scope.constants.add(name)
+                }
+            }
+            else if (child.tagName === "IMPORT") {
+                const as = child.getAttribute("as")
+                if (as) scope.names.add(as)
+                else if (!child.childElementCount) scope.open = true
+                for (const nameElement of child.children) {
+                    const name = getStaticName(nameElement)
+                    if (name === null) scope.open = true
+                    else scope.names.add(name)
+                }
+            }
+        }
+        return scope
+    }
+
+
+    /**
+     * Checks if a variable is defined in a static scope or its enclosing scopes.
+     */
+    function isDefinedStatically(name, scope) {
+        for (let current = scope; current; current = current.parent)
+            if (current.open || current.names.has(name)) return true
+        return false
+    }
+
+
+    /**
+     * Checks if the variable that a name refers to in a static scope is surely a constant.
+     */
+    function isConstantStatically(name, scope) {
+        for (let current = scope; current; current = current.parent) {
+            if (current.names.has(name)) return current.constants.has(name)
+            if (current.open) return false
+        }
+        return false
+    }
+
+
+    /**
+     * Reports the DEF and CONST children of an element that declare a name an earlier one declares.
+     * They are evaluated in the same scope, so the later one throws an error.
+     */
+    function checkRedeclarations(element, diagnostics) {
+        const names = new Set()
+        for (const child of element.children) {
+            if (child.tagName !== "DEF" && child.tagName !== "CONST") continue
+            const name = getStaticName(child.children[0])
+            if (name === null || name === "") continue
+            if (names.has(name)) addDiagnostic(diagnostics, child, "error", "redeclared-variable", `${name} is already defined in this scope`)
+            names.add(name)
+        }
+    }
+
+
+    /**
+     * Gets the names in a parameter list element, like a LIST of L elements.
+     * @param {*} element 
+     * @returns A list of names, with null for a computed name.
+     */
+    function getParameterNames(element) {
+        if (!element) return []
+        if (element.tagName !== "LIST") return [null]
+        return Array.from(element.children).flatMap(child => {
+            if (isPattern(child)) return getPatternNames(child)
+            const name = getStaticName(child)
+            if (typeof name !== "string") return [name]
+            return [name.startsWith("...") ? name.slice(3) : name.split(":")[0].trim()]
+        })
+    }
+
+
+    /**
+     * Gets the names that a pattern binds, see matchPattern.
+     * @param {*} pattern 
+     * @returns A list of names.
      */
-    function getAttributes(element) {
-        const result = {}
-        for (const attribute of element.attributes) {
-            result[attribute.name] = element.getAttribute(attribute.name)
+    function getPatternNames(pattern) {
+        switch (pattern?.tagName) {
+            case "L": {
+                const name = getRestName(pattern) ?? getInnerText(pattern)
+                return name === "_" || typeof name === "number" ? [] : [String(name).trim()]
+            }
+            case "LIST":
+                return Array.from(pattern.children).flatMap(getPatternNames)
+            case "OBJ":
+                return Array.from(pattern.children[0]?.children ?? [])
+                    .flatMap(entry => getPatternNames(entry.tagName === "TUPLE" ? entry.children[1] : entry))
+            default:
+                return []
         }
-        return result
     }
 
 
     /**
-     * Gets the inner text of an element.
+     * Gets the names that the first child of a DEF, CONST or GLOBAL element declares.
      * @param {*} element 
-     * @param {boolean} inferType 
-     * @returns The inner text of an element. The type is inferred.
+     * @returns A list of names, with null for a computed name.
      */
-    function getInnerText(element) {
-        const value = element.innerHTML
-        return value.trim() === "" ? value : isNaN(value) ? value : +value
+    function getDeclaredNames(element) {
+        const target = element.children[0]
+        return isPattern(target) ? getPatternNames(target) : [getStaticName(target)]
     }
 
 
     /**
-     * Evaluates all the children and returns the last value.
-     * @param {*} element 
-     * @param {*} scope 
-     * @returns The last value of the evaluated children.
+     * Checks the children of an element, which share a static scope.
+     * Elements after RETURN, BREAK, CONTINUE or THROW in a BLOCK, CATCH or FINALLY are unreachable.
+     * Only the first of them is reported.
      */
-    function getDerivedValue(element, scope) {
-        let value = null
+    function checkChildren(element, scope, state) {
+        let jump = null
         for (const child of element.children) {
-            value = handleElement(child, scope)
+            if (jump && jump !== "REPORTED") {
+                addDiagnostic(state.diagnostics, child, "warning", "unreachable", `Unreachable element after ${jump}`)
+                jump = "REPORTED"
+            }
+            checkElement(child, scope, state)
+            if (!jump && JUMP_TAGS.has(child.tagName) && ["BLOCK", "CATCH", "FINALLY"].includes(element.tagName)) jump = child.tagName
         }
-        return value
     }
 
 
     /**
-     * Gets the value produced by the element's children.
-     * If the element has children, returns the derived value.
-     * Else, returns the inner text.
+     * Checks an element and its descendants.
      * @param {*} element 
-     * @param {*} scope 
-     * @param {boolean} inferType
-     * @returns The value of an element.
+     * @param {*} scope The static scope the element is evaluated in.
+     * @param {*} state The diagnostics, the known macros and where the element is:
+     * the labels of the enclosing loops, whether it is in a function and whether AWAIT is allowed.
      */
-    function getValue(element, scope) {
-        return element.childElementCount
-        ? getDerivedValue(element, scope)
-        : getInnerText(element)
+    function checkElement(element, scope, state) {
+        const { diagnostics } = state
+        const tagName = element.tagName
+        const report = (code, message, severity = "error") => addDiagnostic(diagnostics, element, severity, code, message)
+
+        if (state.macros.has(tagName) && !(tagName in TAGS)) return
+        if (!(tagName in TAGS)) return report("unknown-tag", `Unknown tag ${tagName}`)
+
+        const count = element.childElementCount
+        const { min = 0, max = Infinity, strict = false } = TAGS[tagName].arity ?? {}
+        if (tagName === "L" && count) report("literal-children", "L can't have child elements, only text")
+        else if (count < min) report("child-count", `${tagName} requires at least ${min} child element(s), got ${count}`)
+        else if (count > max && strict) report("child-count", `${tagName} requires at most ${max} child element(s), got ${count}`)
+        else if (count > max) report("child-count", `${tagName} ignores child elements after the first ${max}`, "warning")
+
+        const { label } = getAttributes(element)
+        const children = Array.from(element.children)
+        const childScope = (names = []) => makeCheckScope(scope, element, names)
+        const checkType = text => {
+            try { parseType(text) }
+            catch (error) { report("invalid-type", error.message) }
+        }
+        const typeAttribute = { "DEF": "type", "CONST": "type", "GLOBAL": "type", "FUNC": "returns" }[tagName]
+        if (typeAttribute && element.hasAttribute(typeAttribute)) checkType(element.getAttribute(typeAttribute))
+        checkRedeclarations(element, diagnostics)
+
+        switch (tagName) {
+            case "VAR":
+            case "MUT":
+            case "INC":
+            case "DEC": {
+                const name = tagName === "VAR" ? getStaticName(element) : getStaticName(children[0])
+                if (name === "") report("missing-name", `${tagName} requires a variable name`)
+                else if (name !== null && !isDefinedStatically(name, scope))
+                    report("undefined-variable", `Undefined variable ${name}`)
+                else if (tagName !== "VAR" && name !== null && isConstantStatically(name, scope))
+                    report("constant-assignment", `Cannot assign to the constant ${name}`)
+                break
+            }
+            case "EXPORT":
+                for (const name of count ? children.map(getStaticName) : [getStaticName(element)])
+                    if (name !== null && name !== "" && !isDefinedStatically(name, scope))
+                        report("undefined-variable", `Undefined variable ${name}`)
+                break
+            case "RETURN":
+                if (!state.inFunc) report("return-outside-func", "RETURN can only be used inside FUNC")
+                break
+            case "BREAK":
+            case "CONTINUE":
+                if (label && !state.loops.includes(label)) report("unknown-label", `${tagName} to unknown label: ${label}`)
+                else if (!state.loops.length) report(`${tagName.toLowerCase()}-outside-loop`, `${tagName} can only be used inside FOR, FOR-EACH or WHILE`)
+                break
+            case "AWAIT":
+                if (!state.async) report("await-outside-async", "AWAIT can only be used in async mode or inside an async FUNC")
+                break
+            case "UNQUOTE":
+                report("misplaced-unquote", "UNQUOTE can only be used inside QUOTE")
+                break
+            case "CATCH":
+            case "FINALLY":
+                report("misplaced-clause", `${tagName} can only be used inside TRY`)
+                break
+            case "CASE":
+                report("misplaced-clause", "CASE can only be used inside MATCH")
+                break
+        }
+
+        const loopState = { ...state, loops: [...state.loops, label ?? ""] }
+        const funcState = { ...state, loops: [], inFunc: true, async: tagName === "FUNC" && element.hasAttribute("async") }
+
+        switch (tagName) {
+            case "FOR": {
+                const localScope = childScope()
+                const bodyIndex = Math.max(count - 1, 3)
+                children.slice(0, bodyIndex).forEach(child => checkElement(child, localScope, state))
+                if (children[bodyIndex]) checkElement(children[bodyIndex], childScope([getStaticName(children[0])]), loopState)
+                return
+            }
+            case "WHILE": {
+                const localScope = childScope()
+                if (children[0]) checkElement(children[0], localScope, state)
+                if (children[1]) checkElement(children[1], localScope, loopState)
+                return
+            }
+            case "FOR-EACH":
+            case "MAP":
+            case "FILTER":
+            case "REDUCE":
+            case "FIND":
+            case "FIND-INDEX":
+            case "SOME":
+            case "EVERY":
+            case "FLAT-MAP":
+            case "GROUP-BY": {
+                const localScope = childScope()
+                const bodyIndex = tagName === "REDUCE" ? 3 : tagName === "FOR-EACH" ? Math.max(count - 1, 2) : 2
+                children.slice(0, bodyIndex).forEach(child => checkElement(child, localScope, state))
+                const names = children.slice(1, bodyIndex).map(getStaticName)
+                if (children[bodyIndex]) checkElement(children[bodyIndex], childScope(names), tagName === "FOR-EACH" ? loopState : state)
+                children.slice(bodyIndex + 1).forEach(child => checkElement(child, localScope, state))
+                return
+            }
+            case "FUNC":
+            case "DEFMACRO": {
+                const localScope = childScope()
+                const bodyIndex = tagName === "FUNC" ? 1 : 2
+                children.slice(0, bodyIndex).forEach(child => checkElement(child, localScope, state))
+                const names = getParameterNames(children[bodyIndex - 1])
+                if (tagName === "FUNC" && children[0]?.tagName === "LIST") {
+                    for (const name of Array.from(children[0].children, getStaticName))
+                        if (name?.includes(":")) checkType(name.slice(name.indexOf(":") + 1))
+                }
+                if (children[bodyIndex]) checkElement(children[bodyIndex], childScope(names), funcState)
+                return
+            }
+            case "TRY": {
+                const [body, ...clauses] = children
+                if (body) checkElement(body, childScope(), state)
+                clauses.forEach((clause, i) => {
+                    if (!["CATCH", "FINALLY"].includes(clause.tagName) || clauses.findIndex(x => x.tagName === clause.tagName) !== i)
+                        return addDiagnostic(diagnostics, clause, "error", "misplaced-clause", "TRY accepts only one CATCH and one FINALLY clause after its body")
+                    const clauseCount = clause.childElementCount
+                    if (clause.tagName === "CATCH" && clauseCount < 2)
+                        addDiagnostic(diagnostics, clause, "error", "child-count", `CATCH requires at least 2 child element(s), got ${clauseCount}`)
+                    const names = clause.tagName === "CATCH" ? [getStaticName(clause.children[0])] : []
+                    checkChildren(clause, makeCheckScope(scope, clause, names), state)
+                })
+                return
+            }
+            case "MATCH": {
+                const [value, ...clauses] = children
+                if (value) checkElement(value, childScope(), state)
+                for (const clause of clauses) {
+                    if (clause.tagName !== "CASE") {
+                        addDiagnostic(diagnostics, clause, "error", "misplaced-clause", "MATCH accepts only CASE clauses after its value")
+                        continue
+                    }
+                    const clauseCount = clause.childElementCount
+                    if (clauseCount < 2 || clauseCount > 3)
+                        addDiagnostic(diagnostics, clause, "error", "child-count", `CASE requires 2 or 3 child element(s), got ${clauseCount}`)
+                    const [pattern, ...rest] = clause.children
+                    if (!pattern) continue
+                    checkElement(pattern, childScope(), state)
+                    const clauseScope = makeCheckScope(scope, clause, getPatternNames(pattern))
+                    rest.forEach(child => checkElement(child, clauseScope, state))
+                }
+                return
+            }
+            case "QUOTE":
+                for (const unquote of element.getElementsByTagName("unquote"))
+                    checkChildren(unquote, childScope(), state)
+                return
+            case "IMPORT":
+                return
+        }
+        checkChildren(element, childScope(), state)
     }
 
 
+    //
+    //  DEBUGGER
+    //
+
     /**
-     * Looks for the variable by name from the given scope.
-     * Throws an error if the variable is undefined.
-     * @param {*} varName 
+     * Describes the CALL elements that led to the current element, innermost first.
      * @param {*} scope 
-     * @returns The value of the variable.
+     * @returns A list of objects with name, tag, path and location.
      */
-    function getVariableValue(varName, scope) {
-        if (varName in scope.local) return scope.local[varName].value
-        if (varName in scope.global) return scope.global[varName].value
-        throw new Error("Undefined variable " + varName)
+    function getCallFrames(scope) {
+        return (scope?.context?.callStack ?? []).slice().reverse().map(frame => ({
+            name: frame.name,
+            tag: frame.element.tagName,
+            path: getElementPath(frame.element),
+            location: getSourceLocation(frame.element),
+        }))
     }
 
 
     /**
-     * Updates the variable by name in the given scope.
-     * The variable must exist when calling this function.
-     * Throws an error if the variable is undefined.
-     * @param {*} varName 
-     * @param {*} value
+     * Gets the values of the variables a scope sees, split into the local variables
+     * and the global ones, i.e. those of the htm-lisp root and those defined by the host.
+     * Inner variables shadow outer ones.
      * @param {*} scope 
-     * @returns The value of the variable.
+     * @returns An object with locals and globals, both objects of variable names and values.
      */
-     function updateVariableValue(varName, value, scope) {
-        if (varName in scope.local) {
-            scope.local[varName].value = value
-            return value
+    function getScopeVariables(scope) {
+        const locals = {}
+        const globals = {}
+        for (let current = scope; current; current = current.parent) {
+            const isGlobal = current === GLOBALS || current.parent === GLOBALS
+            for (const [name, variable] of Object.entries(current.local)) {
+                if (name in locals || name in globals) continue
+                if (isGlobal) globals[name] = variable.value
+                else locals[name] = variable.value
+            }
         }
-        if (varName in scope.global) {
-            scope.global[varName].value = value
-            return value
+        return { locals, globals }
+    }
+
+
+    /**
+     * Normalizes an element path given by the user, e.g. "HTM-LISP>def:nth-child(2)".
+     * @param {string} path 
+     * @returns The path as getElementPath returns it.
+     */
+    function normalizeElementPath(path) {
+        return String(path).split(">").map(x => x.trim().toLowerCase()).join(" > ")
+    }
+
+
+    /**
+     * Formats a value for the debugger. Functions are shown as "function".
+     * @param {*} value 
+     * @returns A string.
+     */
+    function formatDebugValue(value) {
+        if (typeof value === "function") return "function"
+        try { return toText(value) }
+        catch (error) { return String(value) }
+    }
+
+
+    /**
+     * Formats a pause of the debugger: the element, the source snippet, the call stack,
+     * the local and global variables and the watch expressions.
+     * @param {*} pause 
+     * @returns A multi-line string.
+     */
+    function formatPause(pause) {
+        const lines = [`Paused on ${pause.reason} at ${pause.tag} ${pause.path}${formatLocation(pause.location)}`]
+        const snippet = getSnippet(pause.element)
+        if (snippet) lines.push(snippet.replace(/^/gm, "    "))
+        const section = (title, entries) => {
+            if (!entries.length) return
+            lines.push(`${title}:`)
+            for (const entry of entries) lines.push(`    ${entry}`)
         }
-        throw new Error("Undefined variable " + varName)
+        section("Call stack", pause.callStack.map(frame => `${frame.name} called at ${frame.path}${formatLocation(frame.location)}`))
+        section("Locals", Object.entries(pause.locals).map(([name, value]) => `${name} = ${formatDebugValue(value)}`))
+        section("Globals", Object.entries(pause.globals).map(([name, value]) => `${name} = ${formatDebugValue(value)}`))
+        section("Watches", pause.watches.map(({ expression, value, error }) =>
+            `${expression} = ${error ? `<${error.message}>` : formatDebugValue(value)}`))
+        return lines.join("\n")
     }
 
 
+    const DEBUGGER_HELP = [
+        "c, continue        run to the next breakpoint",
+        "s, step            step into: pause at the next element",
+        "n, next            step over: pause after this element",
+        "o, out             step out: pause after the current function returns",
+        "b <path>           set a breakpoint, or list them without a path",
+        "d <path>           delete a breakpoint",
+        "w <expression>     watch an s-expression, e.g. w (var n)",
+        "u <expression>     stop watching an expression",
+        "p <expression>     evaluate an s-expression",
+        "where              show the pause again",
+        "q, quit            detach the debugger and run to the end",
+    ].join("\n")
+
+
     /**
-     * Throws an error if the required amount of children is not met.
-     * @param {*} element 
-     * @param {*} count 
+     * Shows pauses in a panel on the page and asks for debugger commands with prompt.
+     * Used by the browser when the htm-lisp script has the data-debug attribute.
+     * @param {*} pause 
+     * @returns How to continue.
      */
-    function requireChildrenCount(element, count = 1, exact = false) {
-        const error = exact && element.childElementCount !== count
-        ? `${element.tagName} requires exactly ${count} child element(s)!`
-        : element.childElementCount < count
-        ? `${element.tagName} requires at least ${count} child element(s)!`
-        : null
-        if (error) throw new Error(error)
+    function showDebugPanel(pause) {
+        let panel = document.getElementById("htm-lisp-debugger")
+        if (!panel) {
+            panel = document.createElement("pre")
+            panel.id = "htm-lisp-debugger"
+            panel.style.cssText = "position: fixed; right: 0; bottom: 0; z-index: 2147483647; max-width: 50%; max-height: 50%; overflow: auto; "
+                + "margin: 0; padding: 8px; font: 12px monospace; background: #1e1e1e; color: #ddd; border-top-left-radius: 4px"
+            document.body.appendChild(panel)
+        }
+        let output = ""
+        while (true) {
+            panel.textContent = formatPause(pause) + (output ? `\n\n${output}` : "")
+            const input = prompt(`${panel.textContent}\n\nDebugger command (h for help):`, "s")
+            const result = pause.debugger.command(input ?? "c", pause)
+            if (result.resume) return result.resume
+            output = result.output
+        }
     }
 
 
     /**
-     * Sets a variable in the local scope.
+     * An error raised while evaluating an element.
+     * Knows the element that failed, where it is and which CALLs led to it.
      */
-    function setLocalVariable(scope, varName, value) {
-        if (varName in scope.local) scope.local[varName].value = value
-        else scope.local[varName] = new Variable(value)
-        return value
+    class HtmLispError extends Error {
+
+        /**
+         * @param {string} message 
+         * @param {*} element The element that failed.
+         * @param {*} scope The scope the element was evaluated in.
+         * @param {*} cause The original error or thrown value, if any.
+         */
+        constructor(message, element, scope, cause) {
+            super(message)
+            this.name = "HtmLispError"
+            this.element = element
+            this.cause = cause
+            this.value = cause === undefined || cause instanceof Error ? message : cause
+            this.tag = element.tagName
+            this.path = getElementPath(element)
+            this.location = getSourceLocation(element)
+            this.snippet = getSnippet(element)
+            this.tags = this.path.split(" > ").map(x => x.replace(/:.*/, "").toUpperCase())
+            this.frames = getCallFrames(scope)
+        }
+
+        /**
+         * Formats the error with its location, htm-lisp stack trace and source snippet.
+         * Repeated frames of a recursion are shown once.
+         * @returns A multi-line string.
+         */
+        format() {
+            const lines = [`${this.name}: ${this.message}`]
+            lines.push(`    at ${this.tag} ${this.path}${formatLocation(this.location)}`)
+            let repeated = 0
+            this.frames.forEach((frame, i) => {
+                const line = `    in ${frame.name} called at ${frame.path}${formatLocation(frame.location)}`
+                const next = this.frames[i + 1]
+                if (next && next.path === frame.path && next.name === frame.name && next.location?.file === frame.location?.file) {
+                    repeated++
+                    return
+                }
+                lines.push(repeated ? `${line} (${repeated + 1} times)` : line)
+                repeated = 0
+            })
+            if (this.snippet) lines.push("", this.snippet.replace(/^/gm, "    "))
+            return lines.join("\n")
+        }
+
+        /**
+         * @returns The error as a plain object, for tooling.
+         */
+        toJSON() {
+            const { name, message, value, tag, path, location, tags, frames, snippet } = this
+            return { name, message, value, tag, path, location, tags, frames, snippet }
+        }
+
     }
 
 
     /**
-     * Produces the value of the element.
-     * Throws an error if the tag is undefined.
-     * @param {*} element 
-     * @param {*} scope 
-     * @returns 
+     * Thrown by RETURN, BREAK and CONTINUE to unwind the evaluation up to the target scope.
+     * Not an error: TRY does not catch it, but FINALLY clauses still run.
      */
-    function handleElement(element, scope) {
-        if (element.tagName in TAGS)
-            return TAGS[element.tagName](element, scope)
-        throw new Error("Undefined tag: " + element.tagName)
+    class ControlSignal {
+
+        constructor(kind, target, value = null) {
+            this.kind = kind
+            this.target = target
+            this.value = value
+        }
+
+    }
+
+
+    /**
+     * A call in tail position, returned to the calling function instead of being made.
+     * See markTailCalls.
+     */
+    class TailCall {
+
+        constructor(func, args, frame, context) {
+            this.func = func
+            this.args = args
+            this.frame = frame
+            this.context = context
+            this.returnType = null
+        }
+
+    }
+
+
+    /**
+     * Pauses the evaluation at DEBUGGER elements, at breakpoints and while stepping.
+     * It's given to the interpreter as the debugger of the context, e.g. createScope({ debugger: new Debugger(onPause) }).
+     * onPause is called with the pause and returns how to continue: "continue", "into", "over" or "out".
+     * The evaluation waits for it, so it must answer synchronously.
+     */
+    class Debugger {
+
+        /**
+         * @param {function} onPause 
+         */
+        constructor(onPause) {
+            this.onPause = onPause
+            this.breakpoints = new Set()
+            this.watches = []
+            this.enabled = true
+            this.mode = "continue"
+            this.depth = 0
+            this.stepDepth = 0
+            this.stepCallDepth = 0
+            this.evaluating = false
+        }
+
+        /**
+         * Pauses before the elements with the given path are evaluated, e.g. "htm-lisp > def:nth-child(2) > int".
+         */
+        setBreakpoint(path) {
+            this.breakpoints.add(normalizeElementPath(path))
+        }
+
+        removeBreakpoint(path) {
+            this.breakpoints.delete(normalizeElementPath(path))
+        }
+
+        /**
+         * Evaluates the s-expression at every pause, e.g. "(var n)".
+         */
+        watch(expression) {
+            if (!this.watches.includes(expression)) this.watches.push(expression)
+        }
+
+        unwatch(expression) {
+            this.watches = this.watches.filter(x => x !== expression)
+        }
+
+        /**
+         * Checks if a breakpoint matches the path of the element.
+         * A part of the breakpoint without :nth-child matches the tag at any position,
+         * e.g. "htm-lisp > def > func > block" matches the body of every function defined at the top level.
+         */
+        hasBreakpoint(element) {
+            const parts = getElementPath(element).split(" > ")
+            for (const breakpoint of this.breakpoints) {
+                const breakpointParts = breakpoint.split(" > ")
+                if (breakpointParts.length === parts.length
+                    && breakpointParts.every((x, i) => x === parts[i] || x === parts[i].replace(/:nth-child\(\d+\)$/, "")))
+                    return true
+            }
+            return false
+        }
+
+        /**
+         * Called before an element is evaluated. Pauses if needed.
+         * @param {*} element 
+         * @param {*} scope 
+         */
+        enter(element, scope) {
+            this.depth++
+            if (!this.enabled || this.evaluating) return
+            const callDepth = scope.context.callStack.length
+            const reason = element.tagName === "DEBUGGER" ? "debugger"
+            : this.breakpoints.size && this.hasBreakpoint(element) ? "breakpoint"
+            : this.mode === "into" ? "step"
+            : this.mode === "over" && this.depth <= this.stepDepth ? "step"
+            : this.mode === "out" && callDepth < this.stepCallDepth ? "step"
+            : null
+            if (!reason) return
+            const pausedAt = Date.now()
+            const mode = this.onPause(this.createPause(reason, element, scope)) ?? "continue"
+            scope.context.busySince += Date.now() - pausedAt
+            if (!["continue", "into", "over", "out"].includes(mode))
+                throw new Error(`Unknown debugger mode: ${mode}`)
+            this.mode = mode
+            this.stepDepth = this.depth
+            this.stepCallDepth = callDepth
+        }
+
+        /**
+         * Called after an element is evaluated.
+         */
+        leave() {
+            this.depth--
+        }
+
+        /**
+         * Describes where the evaluation is paused.
+         * @returns An object with reason, element, scope, tag, path, location, callStack,
+         * locals, globals and watches, and the functions evaluate, for s-expressions, and format.
+         */
+        createPause(reason, element, scope) {
+            const pause = {
+                debugger: this,
+                reason,
+                element,
+                scope,
+                tag: element.tagName,
+                path: getElementPath(element),
+                location: getSourceLocation(element),
+                callStack: getCallFrames(scope),
+                ...getScopeVariables(scope),
+                evaluate: expression => this.evaluate(expression, element, scope),
+                format: () => formatPause(pause),
+            }
+            pause.watches = this.watches.map(expression => {
+                try { return { expression, value: pause.evaluate(expression) } }
+                catch (error) { return { expression, error } }
+            })
+            return pause
+        }
+
+        /**
+         * Evaluates an s-expression in the scope of a paused element, without pausing in it.
+         * @returns The value of the last form.
+         */
+        evaluate(expression, element, scope) {
+            const program = readSexp(expression, element.ownerDocument)
+            const evaluating = this.evaluating
+            this.evaluating = true
+            try {
+                let value = null
+                const localScope = makeScope(scope)
+                for (const form of program.children) value = handleElement(form, localScope)
+                return value
+            }
+            finally {
+                this.evaluating = evaluating
+            }
+        }
+
+        /**
+         * Runs a debugger command of a user interface, e.g. "b htm-lisp > def" or "n".
+         * @param {string} input 
+         * @param {*} pause The current pause.
+         * @returns { resume: mode } to continue the evaluation, or { output: text } to show.
+         */
+        command(input, pause) {
+            const [, name, argument] = String(input).trim().match(/^(\S*)\s*([\s\S]*)$/)
+            switch (name) {
+                case "c": case "continue": return { resume: "continue" }
+                case "s": case "step": return { resume: "into" }
+                case "n": case "next": return { resume: "over" }
+                case "o": case "out": return { resume: "out" }
+                case "q": case "quit":
+                    this.enabled = false
+                    return { resume: "continue" }
+                case "b":
+                    if (argument) this.setBreakpoint(argument)
+                    return { output: Array.from(this.breakpoints).join("\n") || "No breakpoints" }
+                case "d":
+                    this.removeBreakpoint(argument)
+                    return { output: Array.from(this.breakpoints).join("\n") || "No breakpoints" }
+                case "w":
+                    this.watch(argument)
+                    return { output: formatPause(this.createPause(pause.reason, pause.element, pause.scope)) }
+                case "u":
+                    this.unwatch(argument)
+                    return { output: this.watches.join("\n") || "No watches" }
+                case "p":
+                    try { return { output: formatDebugValue(pause.evaluate(argument)) } }
+                    catch (error) { return { output: error.message } }
+                case "where": return { output: pause.format() }
+                default: return { output: DEBUGGER_HELP }
+            }
+        }
+
+    }
+
+
+    /**
+     * An exact decimal number: a whole number of units of 10^-scale,
+     * e.g. 12.50 is 1250 units with the scale 2.
+     * The scale is kept by the arithmetic, so amounts of money keep their cents.
+     */
+    class Decimal {
+
+        /**
+         * The number of decimal places of a quotient that is not exact.
+         */
+        static DIVISION_SCALE = 20
+
+        constructor(units, scale = 0) {
+            this.units = BigInt(units)
+            this.scale = scale
+        }
+
+        /**
+         * Converts a number, a bigint, a decimal or a number literal to a decimal.
+         * @param {*} value 
+         * @returns A Decimal.
+         */
+        static from(value) {
+            if (value instanceof Decimal) return value
+            if (typeof value === "bigint") return new Decimal(value)
+            const match = /^([+-]?)(\d*)(?:\.(\d*))?(?:e([+-]?\d+))?$/i.exec(typeof value === "number" ? String(value) : value)
+            if (typeof value !== "string" && typeof value !== "number" || !match || !(match[2] || match[3]))
+                throw new Error(`Invalid decimal: ${value}`)
+            const [, sign, whole, fraction = "", exponent = "0"] = match
+            const scale = fraction.length - Number(exponent)
+            const units = BigInt(sign + whole + fraction)
+            return scale < 0 ? new Decimal(units * 10n ** BigInt(-scale)) : new Decimal(units, scale)
+        }
+
+        /**
+         * Gets the units of this and another decimal at their common scale.
+         */
+        align(other) {
+            const scale = Math.max(this.scale, other.scale)
+            return [
+                this.units * 10n ** BigInt(scale - this.scale),
+                other.units * 10n ** BigInt(scale - other.scale),
+                scale,
+            ]
+        }
+
+        add(other) {
+            const [x, y, scale] = this.align(other)
+            return new Decimal(x + y, scale)
+        }
+
+        sub(other) {
+            const [x, y, scale] = this.align(other)
+            return new Decimal(x - y, scale)
+        }
+
+        mul(other) {
+            return new Decimal(this.units * other.units, this.scale + other.scale)
+        }
+
+        /**
+         * Divides exactly if possible, else rounds to DIVISION_SCALE decimal places.
+         * The result has at least the scale of the operands.
+         */
+        div(other) {
+            if (other.units === 0n) throw new Error("Division by zero!")
+            const scale = Math.max(this.scale, other.scale, Decimal.DIVISION_SCALE)
+            // One more digit than needed is computed, for rounding.
+            const units = this.units * 10n ** BigInt(scale + 1 - this.scale + other.scale) / other.units
+            return new Decimal(units, scale + 1).round(scale).normalize(Math.max(this.scale, other.scale))
+        }
+
+        /**
+         * Divides and truncates the quotient to a whole number.
+         */
+        idiv(other) {
+            const [x, y] = this.align(other)
+            if (y === 0n) throw new Error("Division by zero!")
+            return new Decimal(x / y)
+        }
+
+        /**
+         * The remainder of idiv. It has the sign of this decimal.
+         */
+        mod(other) {
+            const [x, y, scale] = this.align(other)
+            if (y === 0n) throw new Error("Division by zero!")
+            return new Decimal(x % y, scale)
+        }
+
+        /**
+         * Raises to a whole power. A negative power divides 1 like div.
+         */
+        pow(other) {
+            const exponent = other.round(0, "trunc")
+            if (exponent.compare(other) !== 0) throw new Error(`Cannot raise a decimal to the power of ${other}!`)
+            const n = exponent.units < 0n ? -exponent.units : exponent.units
+            const power = new Decimal(this.units ** n, this.scale * Number(n))
+            return exponent.units < 0n ? new Decimal(1).div(power) : power
+        }
+
+        /**
+         * @returns -1, 0 or 1 if this decimal is less than, equal to or greater than the other.
+         */
+        compare(other) {
+            const [x, y] = this.align(other)
+            return x < y ? -1 : x > y ? 1 : 0
+        }
+
+        /**
+         * Rounds to a number of decimal places.
+         * @param {number} digits 
+         * @param {string} mode "half" rounds halves away from zero, "floor" down and "trunc" towards zero.
+         */
+        round(digits = 0, mode = "half") {
+            if (this.scale <= digits) return this
+            const factor = 10n ** BigInt(this.scale - digits)
+            let units = this.units / factor
+            const remainder = this.units % factor
+            if (mode === "floor" && remainder < 0n) units -= 1n
+            if (mode === "half" && 2n * (remainder < 0n ? -remainder : remainder) >= factor) units += this.units < 0n ? -1n : 1n
+            return new Decimal(units, digits)
+        }
+
+        /**
+         * Removes trailing zeros down to the given scale.
+         */
+        normalize(minScale = 0) {
+            let { units, scale } = this
+            while (scale > minScale && units % 10n === 0n) {
+                units /= 10n
+                scale--
+            }
+            return new Decimal(units, scale)
+        }
+
+        toNumber() {
+            return Number(this.toString())
+        }
+
+        toString() {
+            const digits = (this.units < 0n ? -this.units : this.units).toString().padStart(this.scale + 1, "0")
+            const sign = this.units < 0n ? "-" : ""
+            return this.scale
+            ? `${sign}${digits.slice(0, -this.scale)}.${digits.slice(-this.scale)}`
+            : sign + digits
+        }
+
+        toJSON() {
+            return this.toString()
+        }
+
     }
 
 
     class Variable {
 
-        constructor(value) {
+        /**
+         * @param {*} value 
+         * @param {*} declaredType The type from the annotation, see parseType. Null if any value may be assigned.
+         * @param {boolean} constant True for variables declared with CONST.
+         */
+        constructor(value, declaredType = null, constant = false) {
             this.value = value
+            this.declaredType = declaredType
+            this.constant = constant
         }
 
+        /**
+         * The type of the current value, like TYPEOF returns it.
+         */
         get type() {
-            return typeof this.value
+            return getTypeName(this.value)
         }
 
     }
 
 
-    const ROOT = document.querySelector("htm-lisp")
-    ROOT.style.display = "none"
-
-    const STYLES = (() => ({
-        color: ROOT.getAttribute("color") ?? "chartreuse",
-        fontFamily: ROOT.getAttribute("font-family") ?? "'Courier New', Lucida Console, monospace",
-        fontSize: ROOT.getAttribute("font-size") ?? "12px",
-    }))()
+    const DEFAULT_CONTEXT = {
+        print: output => console.log(output),
+        random: Math.random,
+        read: (message, defaultValue) => prompt(message, defaultValue),
+        fetch: typeof fetch === "function" ? (url, options) => fetch(url, options) : null,
+        baseUrl: typeof document === "undefined" ? null : document.baseURI,
+        resolve: (src, baseUrl) => new URL(src, baseUrl).href,
+        load: url => fetch(url).then(response => {
+            if (!response.ok) throw new Error(`Loading ${url} failed with status ${response.status}`)
+            return response.text()
+        }),
+        parse: source => new DOMParser().parseFromString(source, "text/html"),
+        document: typeof document === "undefined" ? null : document,
+        error: error => console.error(error instanceof HtmLispError ? error.format() : error),
+        maxDepth: Infinity,
+        maxIterations: Infinity,
+        maxTime: 10000,
+    }
 
-    const CONSOLE_STYLE = `
-        color: ${STYLES.color};
-        font-family: ${STYLES.fontFamily};
-        font-size: ${STYLES.fontSize};
-    `
 
-    for (const element of ROOT.children) {
-        try { handleElement(element, SCOPE) }
-        catch (error) { console.error(error) }
+    return {
+        TAGS,
+        Variable,
+        HtmLispError,
+        Debugger,
+        Decimal,
+        createScope,
+        createRootScope,
+        getRootScope,
+        define,
+        registerTag,
+        globals: GLOBALS,
+        environments: ENVIRONMENTS,
+        modules: MODULES,
+        makeScope,
+        run,
+        runAsync,
+        eval: evalSource,
+        evalAsync: evalSourceAsync,
+        evaluateRoot,
+        observe,
+        debug,
+        handleElement,
+        handleElementAsync,
+        getAllValues,
+        getAllValuesAsync,
+        getAttributes,
+        getInnerText,
+        toText,
+        getDerivedValue,
+        getValue,
+        lookupVariable,
+        getVariableValue,
+        updateVariableValue,
+        setLocalVariable,
+        requireChildrenCount,
+        arity,
+        readSexp,
+        printSexp,
+        check,
     }
+})()
+
+
+if (typeof module === "object" && module.exports) {
+    module.exports = HtmLisp
+}
+else {
+    const OBSERVE = document.currentScript?.hasAttribute("data-observe")
+    if (document.currentScript?.hasAttribute("data-debug")) HtmLisp.debug()
+
+    document.addEventListener("DOMContentLoaded", function() {
+        const roots = document.querySelectorAll("htm-lisp")
+        const scopes = Array.from(roots, HtmLisp.evaluateRoot)
+        if (OBSERVE) HtmLisp.observe()
+
+        window.SCOPE = scopes[0]
+        window.ROOT = roots[0]
+    })
 
-    window.SCOPE = SCOPE
-    window.ROOT = ROOT
-})
\ No newline at end of file
+    window.HtmLisp = HtmLisp
+}
@@ -0,0 +1,312 @@
+/**
+ * A small HTML parser for running htm-lisp outside the browser.
+ * It builds a tree of nodes that implement the part of the DOM Element API
+ * the interpreter relies on: tagName, children, childElementCount,
+ * innerHTML, outerHTML, attributes and getAttribute.
+ * Every element also remembers where it starts in the source,
+ * so that errors can point to a line and a column.
+ */
+
+
+/**
+ * Elements that never have content or an end tag.
+ */
+const VOID_ELEMENTS = new Set([
+    "AREA", "BASE", "BR", "COL", "EMBED", "HR", "IMG", "INPUT",
+    "LINK", "META", "PARAM", "SOURCE", "TRACK", "WBR",
+])
+
+
+/**
+ * Elements whose content is raw text and may contain "<" freely.
+ */
+const RAW_TEXT_ELEMENTS = new Set(["SCRIPT", "STYLE", "TEXTAREA", "TITLE"])
+
+
+const ENTITIES = {
+    "amp": "&",
+    "lt": "<",
+    "gt": ">",
+    "quot": "\"",
+    "apos": "'",
+    "nbsp": " ",
+}
+
+
+const START_TAG = /<([a-zA-Z][^\s/>]*)((?:\s+[^\s"'>/=]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'=<>`]+))?)*)\s*(\/?)>/y
+const END_TAG = /<\/([a-zA-Z][^\s/>]*)\s*>/y
+const ATTRIBUTE = /([^\s"'>/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g
+
+
+class Element {
+
+    constructor(tagName, attributes = [], parentElement = null) {
+        this.tagName = tagName.toUpperCase()
+        this.attributes = attributes
+        this.parentElement = parentElement
+        this.ownerDocument = parentElement && (parentElement.ownerDocument ?? parentElement)
+        this.children = []
+        this.innerHTML = ""
+        this.sourceLocation = null
+        this.contentLocation = null
+        this.sourceEnd = 0
+    }
+
+    get childElementCount() {
+        return this.children.length
+    }
+
+    get outerHTML() {
+        const source = this.ownerDocument?.source
+        return source && this.sourceLocation
+        ? source.slice(this.sourceLocation.offset, this.sourceEnd)
+        : ""
+    }
+
+    getAttribute(name) {
+        const attribute = this.attributes.find(x => x.name === name.toLowerCase())
+        return attribute ? attribute.value : null
+    }
+
+    hasAttribute(name) {
+        return this.getAttribute(name) !== null
+    }
+
+    setAttribute(name, value) {
+        const attribute = this.attributes.find(x => x.name === name.toLowerCase())
+        if (attribute) attribute.value = String(value)
+        else this.attributes.push({ name: name.toLowerCase(), value: String(value) })
+    }
+
+    removeAttribute(name) {
+        this.attributes = this.attributes.filter(x => x.name !== name.toLowerCase())
+    }
+
+    get textContent() {
+        return decodeEntities(this.innerHTML.replace(/<[^>]*>/g, ""))
+    }
+
+    set textContent(text) {
+        this.children = []
+        this.innerHTML = String(text).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;")
+    }
+
+    /**
+     * Creates an element that belongs to this document.
+     */
+    createElement(tagName) {
+        const element = new Element(tagName)
+        element.ownerDocument = this.ownerDocument ?? this
+        return element
+    }
+
+    /**
+     * Copies the element, and its descendants if deep is true.
+     * The copy keeps the source location of the original.
+     */
+    cloneNode(deep = false) {
+        const clone = new Element(this.tagName, this.attributes.map(x => ({ ...x })))
+        clone.ownerDocument = this.ownerDocument
+        clone.innerHTML = this.innerHTML
+        clone.sourceLocation = this.sourceLocation
+        clone.contentLocation = this.contentLocation
+        clone.sourceEnd = this.sourceEnd
+        if (deep) {
+            for (const child of this.children) {
+                const childClone = child.cloneNode(true)
+                childClone.parentElement = clone
+                clone.children.push(childClone)
+            }
+        }
+        return clone
+    }
+
+    appendChild(child) {
+        child.remove()
+        child.parentElement = this
+        this.children.push(child)
+        return child
+    }
+
+    insertBefore(newChild, referenceChild) {
+        newChild.remove()
+        const index = referenceChild ? this.children.indexOf(referenceChild) : this.children.length
+        if (index === -1) throw new Error("The node before which the new node is to be inserted is not a child of this node.")
+        newChild.parentElement = this
+        this.children.splice(index, 0, newChild)
+        return newChild
+    }
+
+    removeChild(child) {
+        const index = this.children.indexOf(child)
+        if (index === -1) throw new Error("The node to be removed is not a child of this node.")
+        this.children.splice(index, 1)
+        child.parentElement = null
+        return child
+    }
+
+    remove() {
+        this.parentElement?.removeChild(this)
+    }
+
+    /**
+     * Returns all descendants with the given tag name in document order.
+     */
+    getElementsByTagName(tagName) {
+        const result = []
+        const name = tagName.toUpperCase()
+        for (const child of this.children) {
+            if (name === "*" || child.tagName === name) result.push(child)
+            result.push(...child.getElementsByTagName(tagName))
+        }
+        return result
+    }
+
+}
+
+
+/**
+ * Replaces character references with the characters they stand for.
+ * @param {string} text
+ * @returns The decoded text.
+ */
+function decodeEntities(text) {
+    return text.replace(/&(#x[0-9a-f]+|#[0-9]+|[a-z]+);/gi, (match, name) => {
+        if (name[0] === "#") {
+            const code = name[1] === "x" || name[1] === "X"
+            ? parseInt(name.slice(2), 16)
+            : parseInt(name.slice(1), 10)
+            // Like in browsers, references to code points that can't be in a string are replaced
+            if (code === 0 || code > 0x10FFFF || (code >= 0xD800 && code <= 0xDFFF)) return "\uFFFD"
+            return String.fromCodePoint(code)
+        }
+        return name.toLowerCase() in ENTITIES ? ENTITIES[name.toLowerCase()] : match
+    })
+}
+
+
+/**
+ * Parses the attribute part of a start tag.
+ * @param {string} source The text between the tag name and the closing ">".
+ * @returns A list of {name, value} objects.
+ */
+function parseAttributes(source) {
+    const result = []
+    for (const [, name, doubleQuoted, singleQuoted, unquoted] of source.matchAll(ATTRIBUTE)) {
+        const value = doubleQuoted ?? singleQuoted ?? unquoted ?? ""
+        result.push({ name: name.toLowerCase(), value: decodeEntities(value) })
+    }
+    return result
+}
+
+
+/**
+ * Parses an HTML document into a tree of elements.
+ * Comments, doctypes and text are skipped, but the text stays available through innerHTML.
+ * Unclosed elements are closed by the end tag of an enclosing element or by the end of the source.
+ * @param {string} source The HTML source.
+ * @param {string} url The file or URL of the source, for error locations.
+ * @returns The document element, a node whose children are the top-level elements.
+ */
+function parse(source, url = null) {
+    const document = new Element("#document")
+    document.source = source
+    document.url = url
+    const stack = [{ element: document, contentStart: 0 }]
+    let index = 0
+
+    const close = (depth, contentEnd, sourceEnd = contentEnd) => {
+        while (stack.length > depth) {
+            const { element, contentStart } = stack.pop()
+            element.innerHTML = source.slice(contentStart, contentEnd)
+            element.sourceEnd = sourceEnd
+        }
+    }
+
+    // Line and column are counted incrementally, as tags are found in source order.
+    let line = 1
+    let lineStart = 0
+    let counted = 0
+    const locate = offset => {
+        for (; counted < offset; counted++) {
+            if (source.charCodeAt(counted) === 10) {
+                line++
+                lineStart = counted + 1
+            }
+        }
+        return { line, column: offset - lineStart + 1, offset }
+    }
+
+    while (index < source.length) {
+        const next = source.indexOf("<", index)
+        if (next === -1) break
+        index = next
+
+        if (source.startsWith("<!--", index)) {
+            const end = source.indexOf("-->", index + 4)
+            index = end === -1 ? source.length : end + 3
+            continue
+        }
+
+        if (source.startsWith("<!", index) || source.startsWith("<?", index)) {
+            const end = source.indexOf(">", index)
+            index = end === -1 ? source.length : end + 1
+            continue
+        }
+
+        END_TAG.lastIndex = index
+        const endTag = END_TAG.exec(source)
+        if (endTag) {
+            const tagName = endTag[1].toUpperCase()
+            for (let depth = stack.length - 1; depth > 0; depth--) {
+                if (stack[depth].element.tagName === tagName) {
+                    close(depth + 1, index)
+                    close(depth, index, END_TAG.lastIndex)
+                    break
+                }
+            }
+            index = END_TAG.lastIndex
+            continue
+        }
+
+        START_TAG.lastIndex = index
+        const startTag = START_TAG.exec(source)
+        if (!startTag) {
+            index++
+            continue
+        }
+
+        const parent = stack[stack.length - 1].element
+        const element = new Element(startTag[1], parseAttributes(startTag[2]), parent)
+        parent.children.push(element)
+        element.sourceLocation = locate(index)
+        index = START_TAG.lastIndex
+        element.sourceEnd = index
+        element.contentLocation = locate(index)
+
+        if (startTag[3] || VOID_ELEMENTS.has(element.tagName)) continue
+
+        if (RAW_TEXT_ELEMENTS.has(element.tagName)) {
+            const end = source.toLowerCase().indexOf("</" + element.tagName.toLowerCase(), index)
+            const contentEnd = end === -1 ? source.length : end
+            element.innerHTML = source.slice(index, contentEnd)
+            const closing = source.indexOf(">", contentEnd)
+            index = closing === -1 ? source.length : closing + 1
+            element.sourceEnd = index
+            continue
+        }
+
+        stack.push({ element, contentStart: index })
+    }
+
+    close(1, source.length)
+    return document
+}
+
+
+module.exports = {
+    Element,
+    VOID_ELEMENTS,
+    parse,
+    decodeEntities,
+}
@@ -0,0 +1,25 @@
+const { test } = require("node:test")
+const assert = require("node:assert")
+const { runSexp } = require("./helpers.js")
+
+
+test("IF and IDX don't evaluate children with an AWAIT that they skip", async () => {
+    const { output, errors } = await runSexp(`
+        (def xs (list (int 1) (int 2)))
+        (print (if (true) (await (str "then")) (block (print (str "else")) (await (str "else")))))
+        (print (idx (str "ab") (int 1) (block (print (str "new char")) (await (str "c")))))
+        (print (idx (var xs) (int 1) (await (int 3))) (var xs))
+    `)
+    assert.deepStrictEqual(errors, [])
+    assert.deepStrictEqual(output, ["then", "b", "3 [1,3]"])
+})
+
+
+test("AND and OR evaluate every child with an AWAIT, like in sync mode", async () => {
+    const { output, errors } = await runSexp(`
+        (print (and (await (true)) (block (print (str "and")) (false))))
+        (print (or (await (true)) (block (print (str "or")) (false))))
+    `)
+    assert.deepStrictEqual(errors, [])
+    assert.deepStrictEqual(output, ["and", "false", "or", "true"])
+})
@@ -0,0 +1,54 @@
+const { test } = require("node:test")
+const assert = require("node:assert")
+const fs = require("node:fs")
+const path = require("node:path")
+const HtmLisp = require("../htm-lisp.js")
+const { parse } = require("../html-parser.js")
+
+
+test("check reports the diagnostics of examples/broken.html in source order", () => {
+    const file = path.join(__dirname, "../examples/broken.html")
+    const document = parse(fs.readFileSync(file, "utf8"), file)
+    const diagnostics = HtmLisp.check(document.getElementsByTagName("htm-lisp"), { async: true })
+    assert.deepStrictEqual(
+        diagnostics.map(x => [x.location.line, x.location.column, x.code]),
+        [[3, 8, "undefined-variable"], [6, 1, "child-count"], [7, 1, "redeclared-variable"]],
+    )
+})
+
+
+test("check keeps the order in which it found diagnostics without a location", () => {
+    const document = parse("")
+    const root = HtmLisp.readSexp("(def x (int 1)) (var y) (def x (int 2))", document)
+    const diagnostics = HtmLisp.check(root)
+    assert.deepStrictEqual(diagnostics.map(x => x.code), ["redeclared-variable", "undefined-variable"])
+})
+
+
+test("Every tag has an arity", () => {
+    for (const [name, handler] of Object.entries(HtmLisp.TAGS)) {
+        const { min, max, strict } = handler.arity ?? {}
+        assert.ok(Number.isInteger(min) && min <= max && typeof strict === "boolean", name)
+    }
+})
+
+
+test("check doesn't warn about tags that evaluate all their children", () => {
+    const root = HtmLisp.readSexp(`
+        (print (typeof (def x (int 1)) (var x)) (abs (def y (int -2)) (var y)) (upper (def s "a") (var s)))
+    `, parse(""))
+    assert.deepStrictEqual(HtmLisp.check(root), [])
+})
+
+
+test("Evaluating an element checks the arity of its tag, like check does", () => {
+    const scope = HtmLisp.createScope({ parse })
+    assert.throws(() => HtmLisp.eval("(not (true) (false))", scope), { message: "NOT requires exactly 1 child element(s)!" })
+    assert.throws(() => HtmLisp.eval("(add)", scope), { message: "ADD requires at least 1 child element(s)!" })
+    assert.throws(() => HtmLisp.eval("(for-each (list 1) i j (var i) (var j))", scope), { message: "FOR-EACH requires at most 4 child element(s)!" })
+    const diagnostics = HtmLisp.check(HtmLisp.readSexp("(not (true) (false)) (add)", parse("")))
+    assert.deepStrictEqual(diagnostics.map(x => x.message), [
+        "NOT requires at most 1 child element(s), got 2",
+        "ADD requires at least 1 child element(s), got 0",
+    ])
+})
@@ -0,0 +1,25 @@
+const { test } = require("node:test")
+const assert = require("node:assert")
+const { runSexp } = require("./helpers.js")
+
+
+test("INSERT and REMOVE return changed copies of a list", async () => {
+    const { output, errors } = await runSexp(`
+        (def xs (list (int 1) (int 2) (int 3)))
+        (print (insert (var xs) (int 0) (int 0)) (insert (var xs) (int 3) (int 4)) (insert (var xs) (int 1) (str "a")))
+        (print (remove (var xs) (int 0)) (remove (var xs) (int 2)))
+        (print (var xs))
+    `)
+    assert.deepStrictEqual(errors, [])
+    assert.deepStrictEqual(output, [`[0,1,2,3] [1,2,3,4] [1,"a",2,3]`, "[2,3] [1,2]", "[1,2,3]"])
+})
+
+
+test("INSERT and REMOVE reject indexes out of bounds", async () => {
+    const { errors } = await runSexp(`
+        (insert (list (int 1)) (int 2) (int 0))
+        (remove (list (int 1)) (int 1))
+        (remove (list (int 1)) (str "length"))
+    `)
+    assert.deepStrictEqual(errors, ["Index out of bounds: 2", "Index out of bounds: 1", "Index out of bounds: length"])
+})
@@ -0,0 +1,29 @@
+const { test } = require("node:test")
+const assert = require("node:assert")
+const HtmLisp = require("../htm-lisp.js")
+const { parse } = require("../html-parser.js")
+
+
+test("eval without a scope keeps the declarations of earlier calls and allows declaring them again", () => {
+    // The default context parses with the browser's DOMParser
+    globalThis.DOMParser = class { parseFromString(source) { return parse(source) } }
+    try {
+        assert.strictEqual(HtmLisp.eval("(def x (int 1))"), 1)
+        assert.strictEqual(HtmLisp.eval("(def x (add (var x) (int 1)))"), 2)
+        assert.strictEqual(HtmLisp.eval("<var>x</var>"), 2)
+        assert.strictEqual(HtmLisp.eval("(block (global g (int 5)))"), 5)
+        assert.strictEqual(HtmLisp.eval("(var g)"), 5)
+    }
+    finally {
+        delete globalThis.DOMParser
+    }
+})
+
+
+test("eval with a scope evaluates in that scope", async () => {
+    const scope = HtmLisp.createScope({ parse })
+    assert.strictEqual(HtmLisp.eval("(def x (int 2)) (mul (var x) (int 21))", scope), 42)
+    assert.throws(() => HtmLisp.eval("(def x (int 3))", scope), /x is already defined in this scope!/)
+    assert.throws(() => HtmLisp.eval("(def", scope), /Unclosed \(def/)
+    assert.strictEqual(await HtmLisp.evalAsync("(await (var x))", scope), 2)
+})
@@ -0,0 +1,89 @@
+const { test, before, after } = require("node:test")
+const assert = require("node:assert")
+const http = require("node:http")
+const { runSexp } = require("./helpers.js")
+
+
+/**
+ * A local HTTP stub: /user.json answers with JSON, /echo answers with the method,
+ * the content type and the body of the request, and other paths are not found.
+ */
+const server = http.createServer((request, response) => {
+    let body = ""
+    request.on("data", chunk => body += chunk)
+    request.on("end", () => {
+        if (request.url === "/user.json") {
+            response.writeHead(200, { "Content-Type": "application/json" })
+            response.end(JSON.stringify({ name: "Ada", roles: ["admin"] }))
+        }
+        else if (request.url === "/echo") {
+            response.writeHead(200, { "Content-Type": "text/plain" })
+            response.end(`${request.method} ${request.headers["content-type"] ?? "-"} ${body}`)
+        }
+        else {
+            response.writeHead(404)
+            response.end()
+        }
+    })
+})
+
+let baseUrl
+
+// Node.js has a global fetch since version 18
+const skip = typeof fetch !== "function" && "there is no global fetch"
+
+before(() => new Promise(resolve => server.listen(0, "127.0.0.1", () => {
+    baseUrl = `http://127.0.0.1:${server.address().port}`
+    resolve()
+})))
+
+after(() => new Promise(resolve => server.close(resolve)))
+
+
+test("FETCH reads the response as text by default", { skip }, async () => {
+    const { output, errors } = await runSexp(`(print (await (fetch "${baseUrl}/echo")))`)
+    assert.deepStrictEqual(errors, [])
+    assert.deepStrictEqual(output, ["GET - "])
+})
+
+
+test("FETCH reads the response as JSON", { skip }, async () => {
+    const { output } = await runSexp(`
+        (def user (await (fetch[as=json] "${baseUrl}/user.json")))
+        (print (key (var user) name) (idx (key (var user) roles) (int 0)))
+    `)
+    assert.deepStrictEqual(output, ["Ada admin"])
+})
+
+
+test("FETCH sends a string body as it is and other bodies as JSON", { skip }, async () => {
+    const { output } = await runSexp(`
+        (print (await (fetch[method=put] (str "${baseUrl}/echo") (str "plain"))))
+        (print (await (fetch[method=post] (str "${baseUrl}/echo") (obj (list (tuple "a" (int 1)))))))
+    `)
+    assert.deepStrictEqual(output, ["PUT text/plain;charset=UTF-8 plain", "POST application/json {\"a\":1}"])
+})
+
+
+test("FETCH rejects a response with an error status", { skip }, async () => {
+    const { output, errors } = await runSexp(`
+        (print (try (await (fetch "${baseUrl}/missing")) (catch e (key (var e) message))))
+    `)
+    assert.deepStrictEqual(errors, [])
+    assert.deepStrictEqual(output, [`FETCH ${baseUrl}/missing failed with status 404`])
+})
+
+
+test("Async functions can await a fetch", { skip }, async () => {
+    const { output } = await runSexp(`
+        (def get-name (func[async] (list (l url)) (key (await (fetch[as=json] (var url))) name)))
+        (print (await (call (var get-name) (list (str "${baseUrl}/user.json")))))
+    `)
+    assert.deepStrictEqual(output, ["Ada"])
+})
+
+
+test("FETCH throws an error if the context has no fetch function", async () => {
+    const { errors } = await runSexp(`(await (fetch "http://127.0.0.1/"))`, { fetch: null })
+    assert.deepStrictEqual(errors, ["FETCH requires a fetch function, which this environment doesn't have!"])
+})
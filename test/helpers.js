@@ -0,0 +1,46 @@
+/**
+ * Helpers for running htm-lisp programs in the tests.
+ */
+
+const HtmLisp = require("../htm-lisp.js")
+const { parse } = require("../html-parser.js")
+
+
+/**
+ * Runs every htm-lisp element of an HTML source in async mode, like bin/htm-lisp run.
+ * @param {string} source 
+ * @param {object} context Additions to the context, e.g. a fetch function.
+ * @returns A promise of the printed lines and the messages of the reported errors.
+ */
+async function run(source, context = {}) {
+    const output = []
+    const errors = []
+    const document = parse(source, "test.html")
+    for (const root of document.getElementsByTagName("htm-lisp")) {
+        const scope = HtmLisp.createRootScope(root, {
+            print: x => output.push(x),
+            error: error => errors.push(error.message),
+            parse,
+            ...context,
+        })
+        await HtmLisp.runAsync(root, scope)
+    }
+    return { output, errors }
+}
+
+
+/**
+ * Runs a program in the s-expression form.
+ * @param {string} source 
+ * @param {object} context 
+ * @returns A promise of the printed lines and the messages of the reported errors.
+ */
+function runSexp(source, context = {}) {
+    return run(`<htm-lisp type="sexp">${source}</htm-lisp>`, context)
+}
+
+
+module.exports = {
+    run,
+    runSexp,
+}
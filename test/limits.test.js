@@ -0,0 +1,62 @@
+const { test } = require("node:test")
+const assert = require("node:assert")
+const { run, runSexp } = require("./helpers.js")
+
+
+const WALK = `
+    (def sum (func (list (l xs))
+        (if (eq (len (var xs)) (int 0))
+            (int 0)
+            (add (idx (var xs) (int 0)) (call (var sum) (list (slice (var xs) (int 1) (len (var xs)))))))))
+`
+
+
+test("Recursion that is not in tail position works over 600 items by default", async () => {
+    const { output, errors } = await runSexp(`${WALK} (print (call (var sum) (list (range 1 600))))`)
+    assert.deepStrictEqual(errors, [])
+    assert.deepStrictEqual(output, ["180300"])
+})
+
+
+test("Recursion deeper than max-depth throws an error", async () => {
+    const limited = await run(`<htm-lisp type="sexp" max-depth="50">${WALK} (call (var sum) (list (range 1 60)))</htm-lisp>`)
+    assert.deepStrictEqual(limited.errors, ["Maximum recursion depth of 50 exceeded!"])
+})
+
+
+test("Recursion deeper than the stack allows throws an error that TRY can catch", async () => {
+    const { output, errors } = await runSexp(`
+        (def count (func (list (l n)) (if (eq (var n) (int 0)) (int 0) (add (int 1) (call (var count) (list (sub (var n) (int 1))))))))
+        (print (try (call (var count) (list (int 100000))) (catch e (key (var e) message))))
+        (print (call (var count) (list (int 55))))
+    `)
+    assert.deepStrictEqual(errors, [])
+    assert.match(output[0], /^Maximum recursion depth exceeded: the stack ran out after \d+ nested calls!$/)
+    assert.deepStrictEqual(output[1], "55")
+})
+
+
+test("Calls in tail position don't count towards max-depth", async () => {
+    const { output, errors } = await runSexp(`
+        (def count (func (list (l n) (l acc)) (if (eq (var n) (int 0)) (var acc) (call (var count) (list (sub (var n) (int 1)) (add (var acc) (int 1)))))))
+        (print (call (var count) (list (int 5000) (int 0))))
+    `)
+    assert.deepStrictEqual(errors, [])
+    assert.deepStrictEqual(output, ["5000"])
+})
+
+
+test("The operations of list functions count towards max-iterations", async () => {
+    for (const source of [
+        "(map (list 1 2 3 4 5 6 7) (l x) (var x))",
+        "(filter (list 1 2 3 4 5 6 7) (l x) (true))",
+        "(reduce (list 1 2 3 4 5 6 7) (l acc) (l x) (add (var acc) (var x)))",
+        "(for-each (list 1 2 3 4 5 6 7) (l x) (var x))",
+    ]) {
+        const { errors } = await run(`<htm-lisp type="sexp" max-iterations="5">${source}</htm-lisp>`)
+        assert.deepStrictEqual(errors, ["The loop exceeded the maximum of 5 iterations!"], source)
+    }
+    const { output, errors } = await run(`<htm-lisp type="sexp" max-iterations="5">(print (reduce (range 1 5) (l acc) (l x) (add (var acc) (var x))))</htm-lisp>`)
+    assert.deepStrictEqual(errors, [])
+    assert.deepStrictEqual(output, ["15"])
+})
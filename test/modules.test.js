@@ -0,0 +1,54 @@
+const { test } = require("node:test")
+const assert = require("node:assert")
+const { run } = require("./helpers.js")
+
+
+/**
+ * Runs a program whose imports are loaded from the given sources by name.
+ */
+function runWithModules(source, modules) {
+    return run(source, {
+        resolve: src => src,
+        load: src => modules[src],
+    })
+}
+
+
+const MATH = `
+    <htm-lisp type="sexp">
+        (def square (func (list (l x)) (mul (var x) (var x))))
+        (def counter (int 0))
+        (export square counter)
+    </htm-lisp>
+`
+
+
+test("IMPORT binds the exports, shared with the module", async () => {
+    const { output, errors } = await runWithModules(`
+        <htm-lisp type="sexp">
+            (import[src=shared.html])
+            (import[src=shared.html as=m])
+            (inc counter (int 1))
+            (print (call (var square) (list (int 3))) (var counter))
+        </htm-lisp>
+    `, { "shared.html": MATH })
+    assert.deepStrictEqual(errors, [])
+    assert.deepStrictEqual(output, ["9 1"])
+})
+
+
+test("IMPORT of a name that the scope already has is an error", async () => {
+    const { output, errors } = await runWithModules(`
+        <htm-lisp type="sexp">
+            (def square (str "mine"))
+            (const m (int 1))
+            (import[src=redeclared.html] (l square))
+            (import[src=redeclared.html] (l counter))
+            (import[src=redeclared.html as=m])
+            (block (import[src=redeclared.html] (l square)) (print (call (var square) (list (int 2)))))
+            (print (var square) (var counter) (var m))
+        </htm-lisp>
+    `, { "redeclared.html": MATH })
+    assert.deepStrictEqual(errors, ["square is already defined in this scope!", "m is already defined in this scope!"])
+    assert.deepStrictEqual(output, ["4", "mine 0 1"])
+})
@@ -0,0 +1,14 @@
+const { test } = require("node:test")
+const assert = require("node:assert")
+const { run } = require("./helpers.js")
+
+
+test("BIGINT and DECIMAL keep the digits of their inner text", async () => {
+    const { output, errors } = await run(`<htm-lisp>
+        <print><bigint> 123456789012345678901234567890 </bigint></print>
+        <print><decimal>1.50</decimal></print>
+        <print><add><decimal>0.10</decimal><decimal>0.20</decimal></add></print>
+    </htm-lisp>`)
+    assert.deepStrictEqual(errors, [])
+    assert.deepStrictEqual(output, ["123456789012345678901234567890", "1.50", "0.30"])
+})
@@ -0,0 +1,18 @@
+const { test } = require("node:test")
+const assert = require("node:assert")
+const { parse, decodeEntities } = require("../html-parser.js")
+const { run } = require("./helpers.js")
+
+
+test("Character references are decoded", () => {
+    assert.strictEqual(decodeEntities("&lt;&#65;&#x42;&amp;"), "<AB&")
+    assert.strictEqual(parse("<str>&#x1F600;</str>").children[0].textContent, "\u{1F600}")
+})
+
+
+test("Character references to invalid code points become the replacement character", async () => {
+    assert.strictEqual(decodeEntities("&#99999999;&#xD800;&#0;"), "���")
+    const { output, errors } = await run("<htm-lisp><print><str>&#99999999;</str></print></htm-lisp>")
+    assert.deepStrictEqual(errors, [])
+    assert.deepStrictEqual(output, ["�"])
+})
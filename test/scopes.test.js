@@ -0,0 +1,180 @@
+const { test } = require("node:test")
+const assert = require("node:assert")
+const { runSexp } = require("./helpers.js")
+
+
+test("BLOCK shadows a variable until its end", async () => {
+    const { output, errors } = await runSexp(`
+        (def x (int 1))
+        (block (def x (int 2)) (print (var x)))
+        (print (var x))
+    `)
+    assert.deepStrictEqual(errors, [])
+    assert.deepStrictEqual(output, ["2", "1"])
+})
+
+
+test("MUT in BLOCK changes the variable of the enclosing scope", async () => {
+    const { output } = await runSexp(`
+        (def x (int 1))
+        (block (mut x (int 2)))
+        (print (var x))
+    `)
+    assert.deepStrictEqual(output, ["2"])
+})
+
+
+test("DEF in BLOCK is gone after it", async () => {
+    const { errors } = await runSexp(`
+        (block (def y (int 1)))
+        (print (var y))
+    `)
+    assert.deepStrictEqual(errors, ["Undefined variable y"])
+})
+
+
+test("DEF of a name that the scope already has is an error", async () => {
+    const { output, errors } = await runSexp(`
+        (def x (int 1))
+        (def x (int 2))
+        (print (var x))
+    `)
+    assert.deepStrictEqual(errors, ["x is already defined in this scope!"])
+    assert.deepStrictEqual(output, ["1"])
+})
+
+
+test("FOR makes a new scope for every iteration", async () => {
+    const { output, errors } = await runSexp(`
+        (def i (str "outer"))
+        (print (for i 0 2 (block (def square (mul (var i) (var i))) (var square))))
+        (print (var i))
+        (print (var square))
+    `)
+    assert.deepStrictEqual(output, ["[0,1,4]", "outer"])
+    assert.deepStrictEqual(errors, ["Undefined variable square"])
+})
+
+
+test("FOR functions capture the variable of their own iteration", async () => {
+    const { output } = await runSexp(`
+        (def fs (for i 0 3 (func (list) (var i))))
+        (print (call (idx (var fs) (int 0))) (call (idx (var fs) (int 2))))
+    `)
+    assert.deepStrictEqual(output, ["0 2"])
+})
+
+
+test("WHILE makes a new scope for every iteration", async () => {
+    const { output, errors } = await runSexp(`
+        (def n (int 0))
+        (print (while (lt (var n) (int 3)) (block (def twice (mul (var n) (int 2))) (inc n (int 1)) (var twice))))
+        (print (var n))
+        (print (var twice))
+    `)
+    assert.deepStrictEqual(output, ["[0,2,4]", "3"])
+    assert.deepStrictEqual(errors, ["Undefined variable twice"])
+})
+
+
+test("MAP and FILTER bind the item in a scope of their own", async () => {
+    const { output, errors } = await runSexp(`
+        (def x (str "outer"))
+        (print (map (list (int 1) (int 2)) x (block (def y (add (var x) (int 1))) (var y))))
+        (print (filter (list (int 1) (int 2) (int 3)) x (gt (var x) (int 1))))
+        (print (var x))
+        (print (var y))
+    `)
+    assert.deepStrictEqual(output, ["[2,3]", "[2,3]", "outer"])
+    assert.deepStrictEqual(errors, ["Undefined variable y"])
+})
+
+
+test("REDUCE binds the accumulator and the item in a scope of their own", async () => {
+    const { output, errors } = await runSexp(`
+        (def acc (str "outer"))
+        (print (reduce (list (int 1) (int 2) (int 3)) acc x (add (var acc) (var x))))
+        (print (var acc))
+        (print (var x))
+    `)
+    assert.deepStrictEqual(output, ["6", "outer"])
+    assert.deepStrictEqual(errors, ["Undefined variable x"])
+})
+
+
+test("FUNC parameters and definitions shadow the enclosing scope for one call", async () => {
+    const { output, errors } = await runSexp(`
+        (def x (int 1))
+        (def f (func (list (l x)) (block (def y (mul (var x) (int 10))) (var y))))
+        (print (call (var f) (list (int 5))) (var x))
+        (print (call (var f) (list (int 6))))
+        (print (var y))
+    `)
+    assert.deepStrictEqual(output, ["50 1", "60"])
+    assert.deepStrictEqual(errors, ["Undefined variable y"])
+})
+
+
+test("FUNC sees the variables of the scope it was defined in, also later ones", async () => {
+    const { output } = await runSexp(`
+        (def get (func (list) (var later)))
+        (def later (int 1))
+        (print (call (var get)))
+        (mut later (int 2))
+        (print (call (var get)))
+        (block (def later (int 3)) (print (call (var get))))
+    `)
+    assert.deepStrictEqual(output, ["1", "2", "2"])
+})
+
+
+test("CONST can't be assigned and GLOBAL defines at the top level", async () => {
+    const { output, errors } = await runSexp(`
+        (const limit (int 10))
+        (mut limit (int 11))
+        (inc limit (int 1))
+        (block (global total (int 0)))
+        (inc total (var limit))
+        (print (var limit) (var total))
+    `)
+    assert.deepStrictEqual(errors, ["Cannot assign to the constant limit!", "Cannot assign to the constant limit!"])
+    assert.deepStrictEqual(output, ["10 10"])
+})
+
+
+test("A variable that a later DEF shadows is the enclosing one until the DEF", async () => {
+    const { output, errors } = await runSexp(`
+        (def y (str "outer"))
+        (def f (func (list (l n)) (block (def before (var y)) (def y (var n)) (inc y (int 1)) (list (var before) (var y)))))
+        (print (call (var f) (list (int 1))) (call (var f) (list (int 2))) (var y))
+    `)
+    assert.deepStrictEqual(errors, [])
+    assert.deepStrictEqual(output, ['["outer",2] ["outer",3] outer'])
+})
+
+
+test("Functions see the variables that their enclosing function defines later", async () => {
+    const { output, errors } = await runSexp(`
+        (def later (str "top"))
+        (def outer (func (list) (block (def get (func (list) (var later))) (def later (str "later")) (call (var get)))))
+        (print (call (var outer)))
+    `)
+    assert.deepStrictEqual(errors, [])
+    assert.deepStrictEqual(output, ["later"])
+})
+
+
+test("Computed names, patterns and macros define variables in function bodies too", async () => {
+    const { output, errors } = await runSexp(`
+        (def y (str "outer"))
+        (def d (str "outer"))
+        (defmacro define (list (l name) (l value)) (quote (def (unquote (var name)) (unquote (var value)))))
+        (def f (func (list (l a)) (block
+            (def (concat (str "y") (str "")) (str "computed"))
+            (def (list (l b) (l c)) (list (var a) (add (var a) (int 1))))
+            (list (var y) (var b) (var c) (block (define d (int 4)) (var d))))))
+        (print (call (var f) (list (int 2))))
+    `)
+    assert.deepStrictEqual(errors, [])
+    assert.deepStrictEqual(output, ['["computed",2,3,4]'])
+})
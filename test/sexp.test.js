@@ -0,0 +1,49 @@
+const { test } = require("node:test")
+const assert = require("node:assert")
+const HtmLisp = require("../htm-lisp.js")
+const { parse } = require("../html-parser.js")
+
+
+test("Strings with &, < and > come out of the reader unchanged", () => {
+    const program = HtmLisp.readSexp(`(str "a < b & c > d") (def s "x&y")`, parse(""))
+    const [str, def] = program.children
+    assert.strictEqual(HtmLisp.getInnerText(str), "a < b & c > d")
+    assert.strictEqual(HtmLisp.getInnerText(def.children[1]), "x&y")
+    assert.strictEqual(HtmLisp.printSexp(str), `(str "a < b & c > d")`)
+})
+
+
+test("Strings with &, < and > are evaluated unchanged", () => {
+    const output = []
+    const scope = HtmLisp.createScope({ print: x => output.push(x), parse })
+    assert.strictEqual(HtmLisp.eval(`(print "a < b & c")`, scope), "a < b & c")
+    assert.strictEqual(HtmLisp.eval(`(l "a&b")`, scope), "a&b")
+    assert.deepStrictEqual(output, ["a < b & c"])
+})
+
+
+test("Character references in the html form are decoded", () => {
+    const scope = HtmLisp.createScope({ parse })
+    assert.strictEqual(HtmLisp.eval("<str>a &lt; b &amp; c</str>", scope), "a < b & c")
+})
+
+
+test("A single atom is the inner text of a literal and an L child of other tags", () => {
+    const program = HtmLisp.readSexp(`(int 3) (var n) (list 3) (list "n: int")`, parse(""))
+    const [int, variable, list, typed] = program.children
+    assert.strictEqual(int.childElementCount, 0)
+    assert.strictEqual(variable.childElementCount, 0)
+    assert.strictEqual(list.children[0].tagName, "L")
+    assert.strictEqual(typed.children[0].textContent, "n: int")
+    assert.strictEqual(HtmLisp.printSexp(list), "(list 3)")
+    assert.strictEqual(HtmLisp.printSexp(int), "(int 3)")
+})
+
+
+test("One-element lists and single function parameters are read as elements", () => {
+    const scope = HtmLisp.createScope({ parse })
+    assert.deepStrictEqual(HtmLisp.eval(`(list 3)`, scope), [3])
+    assert.deepStrictEqual(HtmLisp.eval(`(list "a b")`, scope), ["a b"])
+    assert.strictEqual(HtmLisp.eval(`(call (func (list n) (mul (var n) (int 2))) (list 21))`, scope), 42)
+    assert.strictEqual(HtmLisp.eval(`(call (func (list "n: int") (add (var n) (int 1))) (list 1))`, scope), 2)
+})